@@ -0,0 +1,322 @@
+/**
+ * Camera Rig Functions
+ *
+ * This file places the camera for each view of the drone. Every rig works out
+ * where the camera would ideally be and what it looks at; the camera then
+ * eases towards that with the rig's own smoothing, so a rig only has to say
+ * how tight or loose it follows.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Camera rigs in cycling order. Smoothing rates are per second, higher is
+ * tighter; a rate of 0 snaps the camera straight to its ideal spot.
+ */
+const cameraRigs = {
+  chase: {
+    label: 'Chase',
+    smoothing: { position: 9, lookAt: 0 }
+  },
+  orbit: {
+    label: 'Orbit',
+    smoothing: { position: 12, lookAt: 0 }
+  },
+  lineOfSight: {
+    label: 'Line of sight',
+    smoothing: { position: 0, lookAt: 6 }
+  },
+  topDown: {
+    label: 'Top down',
+    smoothing: { position: 4, lookAt: 4 }
+  },
+  cinematic: {
+    label: 'Cinematic',
+    smoothing: { position: 1.2, lookAt: 2.5 }
+  },
+  fpv: {
+    label: 'FPV',
+    smoothing: null // Mounted on the frame, see fpv-camera.js
+  }
+};
+
+/**
+ * Default camera offsets in metres: the chase camera above and behind the
+ * drone in heading axes, the top down camera above it
+ */
+const defaultOffsets = { chaseHeight: 7, chaseDistance: 10, topDownHeight: 60 };
+const pilotEyeHeight = 1.7;
+const trailInterval = 0.2; // s between the drone positions the cinematic spline runs through
+const trailLength = 20;
+const cinematicDelay = 1.5; // s the cinematic camera trails behind
+
+/**
+ * Helper function for an exponential smoothing factor that is the same at any frame rate
+ */
+function smoothingFactor(rate, delta) {
+  return rate ? 1 - Math.exp(-rate * delta) : 1;
+}
+
+/**
+ * Sets up the camera rigs
+ * @param {Object} camera - THREE.PerspectiveCamera
+ * @param {Object} options - {
+ *   getDrone(): { position, quaternion, yaw } of the drone,
+ *   getGroundHeight(x, z): terrain height,
+ *   isPilotActive(): whether any flight input is held,
+ *   fpvCamera: controls returned by setupFpvCamera,
+ *   domElement: element that receives the orbit drag and zoom gestures,
+ *   offsets: overrides of defaultOffsets
+ * }
+ * @returns {Object} Camera rig controls
+ */
+function setupCameraRigs(camera, options) {
+  const lens = { fov: camera.fov, near: camera.near };
+  const worldUp = new THREE.Vector3(0, 1, 0);
+
+  const ideal = { position: new THREE.Vector3(), lookAt: new THREE.Vector3(), up: new THREE.Vector3(0, 1, 0) };
+  const current = { lookAt: new THREE.Vector3() };
+  const heading = new THREE.Quaternion();
+
+  const offsets = Object.assign({}, defaultOffsets, options.offsets);
+
+  let rig = 'chase';
+  let time = 0;
+
+  // Chase: the intro swoops in from far out, then the look-ahead follows altitude
+  const chase = { height: offsets.chaseHeight, distance: -offsets.chaseDistance, lookAhead: 15, onIntroComplete: null };
+  // Orbit: spherical coordinates around the drone
+  const orbit = { azimuth: 0, elevation: 0.4, distance: 12, dragging: null };
+  // Line of sight: where the pilot stands
+  let pilotPosition = null;
+  // Cinematic: recent drone positions for the spline
+  const trail = [];
+  let trailTimer = 0;
+
+  function placeChase(drone, delta) {
+    if (chase.onIntroComplete) {
+      chase.height = Math.max(chase.height - 30 * delta, offsets.chaseHeight);
+      chase.distance = Math.min(chase.distance + 30 * delta, -offsets.chaseDistance);
+      if (chase.distance === -offsets.chaseDistance) {
+        const onIntroComplete = chase.onIntroComplete;
+        chase.onIntroComplete = null;
+        onIntroComplete();
+      }
+    }
+
+    // Look further ahead low down, and closer in when high up
+    if (!options.isPilotActive()) {
+      if (drone.position.y > 60 && chase.lookAhead > 5) chase.lookAhead -= 12 * delta;
+      if (drone.position.y <= 60 && chase.lookAhead < 15) chase.lookAhead += 12 * delta;
+    }
+
+    // Follow the heading only so the camera does not swing with pitch and roll
+    heading.setFromAxisAngle(worldUp, drone.yaw);
+    ideal.position.set(0, chase.height, chase.distance).applyQuaternion(heading).add(drone.position);
+    ideal.lookAt.set(0, -1.2, chase.lookAhead).applyQuaternion(heading).add(drone.position);
+  }
+
+  function placeOrbit(drone) {
+    const horizontal = Math.cos(orbit.elevation) * orbit.distance;
+    ideal.position.set(
+      Math.sin(orbit.azimuth) * horizontal,
+      Math.sin(orbit.elevation) * orbit.distance,
+      Math.cos(orbit.azimuth) * horizontal
+    ).add(drone.position);
+    ideal.lookAt.copy(drone.position);
+  }
+
+  function placeLineOfSight(drone) {
+    ideal.position.copy(pilotPosition);
+    ideal.lookAt.copy(drone.position);
+  }
+
+  function placeTopDown(drone) {
+    ideal.position.set(drone.position.x, drone.position.y + offsets.topDownHeight, drone.position.z);
+    ideal.lookAt.copy(drone.position);
+    // Heading up, so the map turns with the drone
+    ideal.up.set(Math.sin(drone.yaw), 0, Math.cos(drone.yaw));
+  }
+
+  function placeCinematic(drone, delta) {
+    trailTimer += delta;
+    if (!trail.length || trailTimer >= trailInterval) {
+      trailTimer = 0;
+      trail.push(drone.position.clone());
+      if (trail.length > trailLength) trail.shift();
+    }
+
+    // Run along a spline through where the drone has been, a little behind it
+    const along = trail.length > 1
+      ? new THREE.CatmullRomCurve3(trail).getPoint(Math.max(0, 1 - cinematicDelay / (trailInterval * (trail.length - 1))))
+      : drone.position.clone();
+
+    // Slowly swing around to the side
+    ideal.position.set(Math.cos(time * 0.25) * 8, 4, Math.sin(time * 0.25) * 8).add(along);
+    ideal.position.y = Math.max(ideal.position.y, options.getGroundHeight(ideal.position.x, ideal.position.z) + 2);
+    ideal.lookAt.copy(drone.position);
+  }
+
+  // The pilot stands on the ground behind the drone, unless already close enough to see it
+  function placePilot(drone) {
+    if (pilotPosition && pilotPosition.distanceTo(drone.position) < 100) return;
+
+    heading.setFromAxisAngle(worldUp, drone.yaw);
+    pilotPosition = new THREE.Vector3(0, 0, -15).applyQuaternion(heading).add(drone.position);
+    pilotPosition.y = options.getGroundHeight(pilotPosition.x, pilotPosition.z) + pilotEyeHeight;
+  }
+
+  // Orbit is dragged with the right mouse button or two fingers, and zoomed with the wheel or a pinch
+  function listenToOrbitGestures() {
+    const element = options.domElement;
+
+    const rotate = (dx, dy) => {
+      orbit.azimuth -= dx * 0.006;
+      orbit.elevation = THREE.MathUtils.clamp(orbit.elevation + dy * 0.006, -0.2, 1.5);
+    };
+    const zoom = (scale) => {
+      orbit.distance = THREE.MathUtils.clamp(orbit.distance * scale, 3, 60);
+    };
+
+    // Captured before the joystick sees the press
+    window.addEventListener('pointerdown', (event) => {
+      if (rig !== 'orbit' || event.button !== 2) return;
+      event.stopPropagation();
+      orbit.dragging = { x: event.clientX, y: event.clientY };
+    }, true);
+    window.addEventListener('pointermove', (event) => {
+      if (!orbit.dragging || event.pointerType === 'touch') return;
+      rotate(event.clientX - orbit.dragging.x, event.clientY - orbit.dragging.y);
+      orbit.dragging = { x: event.clientX, y: event.clientY };
+    });
+    window.addEventListener('pointerup', (event) => {
+      if (event.pointerType !== 'touch') orbit.dragging = null;
+    });
+    element.addEventListener('contextmenu', (event) => {
+      if (rig === 'orbit') event.preventDefault();
+    });
+    element.addEventListener('wheel', (event) => {
+      if (rig === 'orbit') zoom(1 + event.deltaY * 0.001);
+    }, { passive: true });
+
+    const readTouches = (touches) => ({
+      x: (touches[0].clientX + touches[1].clientX) / 2,
+      y: (touches[0].clientY + touches[1].clientY) / 2,
+      pinch: Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY)
+    });
+
+    element.addEventListener('touchstart', (event) => {
+      if (rig === 'orbit' && event.touches.length === 2) orbit.dragging = readTouches(event.touches);
+    }, { passive: true });
+    element.addEventListener('touchmove', (event) => {
+      if (!orbit.dragging || event.touches.length !== 2) return;
+      const touches = readTouches(event.touches);
+      rotate(touches.x - orbit.dragging.x, touches.y - orbit.dragging.y);
+      if (orbit.dragging.pinch && touches.pinch) zoom(orbit.dragging.pinch / touches.pinch);
+      orbit.dragging = touches;
+    }, { passive: true });
+    element.addEventListener('touchend', (event) => {
+      if (event.touches.length < 2) orbit.dragging = null;
+    }, { passive: true });
+  }
+
+  function restoreLens() {
+    camera.fov = lens.fov;
+    camera.near = lens.near;
+    camera.updateProjectionMatrix();
+  }
+
+  function selectRig(name) {
+    const drone = options.getDrone();
+    if (rig === 'fpv') restoreLens();
+
+    // Each rig starts from a sensible spot rather than wherever the last one left the camera
+    if (name === 'orbit') orbit.azimuth = drone.yaw + Math.PI;
+    if (name === 'lineOfSight') placePilot(drone);
+    if (name === 'cinematic') trail.length = 0;
+    camera.up.copy(worldUp);
+
+    rig = name;
+  }
+
+  listenToOrbitGestures();
+
+  return {
+    /**
+     * Moves the camera for the current rig
+     * @param {Number} delta - Seconds since the previous frame
+     */
+    update: (delta) => {
+      const drone = options.getDrone();
+      time += delta;
+
+      if (rig === 'fpv') return options.fpvCamera.update(drone.position, drone.quaternion);
+
+      ideal.up.copy(worldUp);
+
+      switch (rig) {
+        case 'orbit':       placeOrbit(drone); break;
+        case 'lineOfSight': placeLineOfSight(drone); break;
+        case 'topDown':     placeTopDown(drone); break;
+        case 'cinematic':   placeCinematic(drone, delta); break;
+        default:            placeChase(drone, delta);
+      }
+
+      const smoothing = cameraRigs[rig].smoothing;
+      camera.position.lerp(ideal.position, smoothingFactor(smoothing.position, delta));
+      current.lookAt.lerp(ideal.lookAt, smoothingFactor(smoothing.lookAt, delta));
+      camera.up.lerp(ideal.up, smoothingFactor(smoothing.position, delta)).normalize();
+      camera.lookAt(current.lookAt);
+    },
+
+    // Draw the view, FPV renders through its own lens
+    render: (renderer, scene) => {
+      if (rig === 'fpv') options.fpvCamera.render(scene);
+      else renderer.render(scene, camera);
+    },
+
+    setRig: (name) => {
+      if (cameraRigs[name] && name !== rig) selectRig(name);
+    },
+
+    getRig: () => rig,
+
+    // Switch to the next rig, returns its name
+    cycle: () => {
+      const names = Object.keys(cameraRigs);
+      selectRig(names[(names.indexOf(rig) + 1) % names.length]);
+      return rig;
+    },
+
+    /**
+     * Swoops the chase camera in from far out
+     * @param {Number} height - Starting height above the drone
+     * @param {Number} distance - Starting distance along the heading, negative is behind
+     * @param {Function} onComplete - Called once the camera has arrived
+     */
+    playIntro: (height, distance, onComplete) => {
+      rig = 'chase';
+      chase.height = height;
+      chase.distance = distance;
+      chase.onIntroComplete = onComplete;
+    },
+
+    // Update the chase and/or top down offsets, see defaultOffsets; the camera eases to them
+    setOffsets: (values) => {
+      Object.assign(offsets, values);
+      if (chase.onIntroComplete) return;
+      chase.height = offsets.chaseHeight;
+      chase.distance = -offsets.chaseDistance;
+    },
+
+    setPilotPosition: (position) => {
+      pilotPosition = position.clone();
+    }
+  };
+}
+
+// Export functions
+export {
+  cameraRigs,
+  setupCameraRigs
+};
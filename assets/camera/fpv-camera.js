@@ -0,0 +1,182 @@
+/**
+ * FPV Camera Functions
+ *
+ * This file mounts the camera rigidly on the drone frame, the way an FPV
+ * camera is screwed into the front of a quad: it pitches and rolls with the
+ * frame, is tilted up by the uptilt angle and can be rendered through a
+ * fisheye lens.
+ */
+
+import * as THREE from 'three';
+
+const STORAGE_KEY = 'quad-tok-fpv-camera';
+
+/**
+ * Default camera settings. The field of view is horizontal, as FPV cameras
+ * are quoted; fisheye is the barrel distortion strength, 0 for none.
+ */
+const defaultSettings = {
+  uptilt: 30,     // degrees, 0-50
+  fov: 120,       // degrees, horizontal
+  fisheye: 0.4    // 0-1
+};
+
+// Camera position in body axes (+Z forward, +Y up), in front of and above the frame centre
+const mountOffset = new THREE.Vector3(0, 0.04, 0.12);
+
+const distortionShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    strength: { value: 0 },
+    aspect: { value: 1 }
+  },
+
+  vertexShader: `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+  `,
+
+  // Barrel distortion, normalised so the corners of the screen stay on the corners of the render
+  fragmentShader: `
+    uniform sampler2D tDiffuse;
+    uniform float strength;
+    uniform float aspect;
+    varying vec2 vUv;
+
+    void main() {
+      vec2 offset = (vUv - 0.5) * vec2(aspect, 1.0);
+      float cornerRadius2 = dot(vec2(aspect, 1.0) * 0.5, vec2(aspect, 1.0) * 0.5);
+      float radius2 = dot(offset, offset);
+
+      vec2 source = offset * (1.0 + strength * radius2) / (1.0 + strength * cornerRadius2);
+      vec2 uv = source / vec2(aspect, 1.0) + 0.5;
+
+      gl_FragColor = texture2D(tDiffuse, uv);
+
+      // Lenses darken towards the edge
+      gl_FragColor.rgb *= 1.0 - strength * 0.35 * radius2 / cornerRadius2;
+
+      // The scene was tone mapped into the render target, only the output encoding is left
+      #include <encodings_fragment>
+    }
+  `
+};
+
+/**
+ * Helper function to load saved camera settings over the defaults
+ */
+function loadSettings() {
+  try {
+    return Object.assign({}, defaultSettings, JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch (error) {
+    console.warn('Could not read FPV camera settings', error);
+    return Object.assign({}, defaultSettings);
+  }
+}
+
+/**
+ * Helper function to turn a horizontal field of view into the vertical one THREE.js uses
+ */
+function verticalFov(horizontalFov, aspect) {
+  const halfWidth = Math.tan(THREE.MathUtils.degToRad(horizontalFov) / 2);
+  return THREE.MathUtils.radToDeg(2 * Math.atan(halfWidth / aspect));
+}
+
+/**
+ * Sets up the FPV camera
+ * @param {Object} renderer - THREE.WebGLRenderer
+ * @param {Object} camera - THREE.PerspectiveCamera shared with the other views
+ * @returns {Object} FPV camera controls
+ */
+function setupFpvCamera(renderer, camera) {
+  const settings = loadSettings();
+
+  const renderTarget = new THREE.WebGLRenderTarget(1, 1, { type: THREE.HalfFloatType });
+  const lensMaterial = new THREE.ShaderMaterial({
+    uniforms: THREE.UniformsUtils.clone(distortionShader.uniforms),
+    vertexShader: distortionShader.vertexShader,
+    fragmentShader: distortionShader.fragmentShader,
+    depthTest: false,
+    depthWrite: false,
+    toneMapped: false
+  });
+  const lensScene = new THREE.Scene();
+  const lensCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+  lensScene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), lensMaterial));
+
+  // Facing along body +Z, then tilted up
+  const mount = new THREE.Quaternion();
+  const mountPosition = new THREE.Vector3();
+  const size = new THREE.Vector2();
+
+  function updateMount() {
+    mount.setFromEuler(new THREE.Euler(THREE.MathUtils.degToRad(settings.uptilt), Math.PI, 0, 'YXZ'));
+  }
+
+  function saveSettings() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+      console.warn('Could not save FPV camera settings', error);
+    }
+  }
+
+  updateMount();
+
+  return {
+    /**
+     * Moves the camera with the drone frame
+     * @param {Object} position - Drone position (THREE.Vector3)
+     * @param {Object} quaternion - Drone attitude (THREE.Quaternion)
+     */
+    update: (position, quaternion) => {
+      mountPosition.copy(mountOffset).applyQuaternion(quaternion).add(position);
+      camera.position.copy(mountPosition);
+      camera.quaternion.copy(quaternion).multiply(mount);
+
+      const fov = verticalFov(settings.fov, camera.aspect);
+      if (camera.fov !== fov || camera.near !== 0.05) {
+        camera.fov = fov;
+        camera.near = 0.05; // The camera sits centimetres from the props and the ground
+        camera.updateProjectionMatrix();
+      }
+    },
+
+    // Draw the view, through the lens shader when fisheye is on
+    render: (scene) => {
+      if (!settings.fisheye) return renderer.render(scene, camera);
+
+      renderer.getDrawingBufferSize(size);
+      if (renderTarget.width !== size.x || renderTarget.height !== size.y) renderTarget.setSize(size.x, size.y);
+
+      renderer.setRenderTarget(renderTarget);
+      renderer.render(scene, camera);
+      renderer.setRenderTarget(null);
+
+      lensMaterial.uniforms.tDiffuse.value = renderTarget.texture;
+      lensMaterial.uniforms.strength.value = settings.fisheye;
+      lensMaterial.uniforms.aspect.value = size.x / size.y;
+      renderer.render(lensScene, lensCamera);
+    },
+
+    getSettings: () => Object.assign({}, settings),
+
+    // Update uptilt, fov and/or fisheye and store them
+    setSettings: (values) => {
+      Object.assign(settings, values);
+      settings.uptilt = THREE.MathUtils.clamp(settings.uptilt, 0, 50);
+      settings.fov = THREE.MathUtils.clamp(settings.fov, 60, 150);
+      settings.fisheye = THREE.MathUtils.clamp(settings.fisheye, 0, 1);
+      updateMount();
+      saveSettings();
+    }
+  };
+}
+
+// Export functions
+export {
+  setupFpvCamera
+};
@@ -49,17 +49,30 @@ function setupPropellerAnimation(droneModel, propellerNames) {
   
   // Current state
   let currentSpeed = rotationSpeeds.idle;
+  let motorSpeeds = null; // Per-propeller speeds once driven by motor outputs
   let isAnimating = false;
+  let spinningDown = false;
   
   // Animation function
   function animatePropellers() {
     if (!isAnimating) return;
     
+    // Coast down after the motors are cut, stopping once the props barely turn
+    if (spinningDown) {
+      currentSpeed *= 0.97;
+      if (currentSpeed < 0.005) {
+        isAnimating = false;
+        spinningDown = false;
+        return;
+      }
+    }
+    
     propellers.forEach((prop, index) => {
       // Alternate rotation direction for adjacent propellers
       // for stability in quadcopters
       const direction = index % 2 === 0 ? 1 : -1; 
-      prop.rotation.y += currentSpeed * direction;
+      const speed = motorSpeeds ? motorSpeeds[index % motorSpeeds.length] : currentSpeed;
+      prop.rotation.y += speed * direction;
     });
     
     requestAnimationFrame(animatePropellers);
@@ -68,28 +81,50 @@ function setupPropellerAnimation(droneModel, propellerNames) {
   // Control functions
   return {
     start: () => {
+      spinningDown = false;
+      if (isAnimating) return;
+      currentSpeed = rotationSpeeds.idle;
       isAnimating = true;
       animatePropellers();
     },
     
     stop: () => {
       isAnimating = false;
+      spinningDown = false;
+    },
+    
+    // Slow the propellers to a stop instead of freezing them, e.g. when disarming
+    spinDown: () => {
+      spinningDown = true;
+      motorSpeeds = null;
     },
     
     setSpeed: (speedLevel) => {
       if (rotationSpeeds[speedLevel]) {
         currentSpeed = rotationSpeeds[speedLevel];
+        motorSpeeds = null;
       }
     },
+
+    // Drive each propeller from a motor output (0-1), e.g. from the flight model
+    setMotorOutputs: (outputs) => {
+      motorSpeeds = outputs.map(output => rotationSpeeds.idle + output * (rotationSpeeds.fast * 2 - rotationSpeeds.idle));
+      currentSpeed = motorSpeeds.reduce((sum, speed) => sum + speed, 0) / motorSpeeds.length;
+    },
     
     getSpeed: () => currentSpeed,
+
+    // Whether the propellers are turning, including while they coast down
+    isSpinning: () => isAnimating,
     
     accelerate: (factor = 1.2) => {
       currentSpeed = Math.min(currentSpeed * factor, rotationSpeeds.fast);
+      motorSpeeds = null;
     },
     
     decelerate: (factor = 0.8) => {
       currentSpeed = Math.max(currentSpeed * factor, rotationSpeeds.idle);
+      motorSpeeds = null;
     }
   };
 }
@@ -208,6 +243,13 @@ function setupDroneTilt(droneModel) {
     
     // Get current tilt
     getCurrentTilt: () => ({ x: currentTilt.x, z: currentTilt.z }),
+
+    // Set the tilt directly, e.g. from the attitude of the flight model
+    setTilt: (x, z) => {
+      currentTilt.x = x;
+      currentTilt.z = z;
+      updateTilt();
+    },
     
     // Reset tilt immediately
     resetTilt: () => {
@@ -218,71 +260,8 @@ function setupDroneTilt(droneModel) {
   };
 }
 
-/**
- * Creates a hovering effect for the drone to simulate air currents
- * @param {Object} droneModel - The THREE.js model of the drone
- * @param {Object} options - Configuration options
- * @returns {Object} Hover control functions
- */
-function setupHoverEffect(droneModel, options = {}) {
-  const config = {
-    amplitude: options.amplitude || 0.05,  // How much the drone moves up/down
-    frequency: options.frequency || 0.003,  // How fast the hovering cycle is
-    lateralAmount: options.lateralAmount || 0.025  // Slight sideways movement
-  };
-  
-  let baseY = droneModel.position.y;
-  let time = 0;
-  let isActive = false;
-  let animationFrame;
-  
-  function updateHover() {
-    if (!isActive) return;
-    
-    time += 0.016; // Approximate time for a frame at 60fps
-    
-    // Vertical hovering (sine wave)
-    const verticalOffset = Math.sin(time * config.frequency) * config.amplitude;
-    
-    // Slight lateral hovering (cosine wave with different frequency)
-    const lateralOffset = Math.cos(time * config.frequency * 0.7) * config.lateralAmount;
-    
-    droneModel.position.y = baseY + verticalOffset;
-    droneModel.position.x += lateralOffset * 0.01; // Very subtle x movement
-    
-    animationFrame = requestAnimationFrame(updateHover);
-  }
-  
-  return {
-    start: () => {
-      if (isActive) return;
-      baseY = droneModel.position.y;
-      isActive = true;
-      updateHover();
-    },
-    
-    stop: () => {
-      isActive = false;
-      if (animationFrame) {
-        cancelAnimationFrame(animationFrame);
-      }
-      // Reset to base position
-      droneModel.position.y = baseY;
-    },
-    
-    setBaseHeight: (height) => {
-      baseY = height;
-    },
-    
-    updateConfig: (newConfig) => {
-      Object.assign(config, newConfig);
-    }
-  };
-}
-
 // Export functions
 export {
   setupPropellerAnimation,
-  setupDroneTilt,
-  setupHoverEffect
+  setupDroneTilt
 }; 
\ No newline at end of file
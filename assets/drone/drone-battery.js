@@ -0,0 +1,144 @@
+/**
+ * Drone Battery Functions
+ *
+ * This file simulates a LiPo pack: the charge the motors draw from it, the
+ * resting voltage for that state of charge, and the voltage sag under load.
+ * Thrust follows the loaded voltage, so a tired pack flies heavier. The motors
+ * need the same power whatever the pack, so fewer cells draw more current,
+ * sag further and run flat sooner.
+ */
+
+/**
+ * Default pack, a 6S 2000 mAh as flown on a DJI FPV
+ */
+const defaultPack = {
+  cells: 6,
+  capacity: 2000,           // mAh
+  cellResistance: 0.012,    // Ω internal resistance per cell
+  maxMotorPower: 270,       // W per motor at full output
+  idlePower: 11,            // W for the flight controller, camera and video link
+  warningVoltage: 3.5,      // V per cell under load
+  criticalVoltage: 3.3      // V per cell under load
+};
+
+// Cell voltage the airframe thrust figures are quoted at
+const nominalCellVoltage = 3.8;
+
+/**
+ * Resting cell voltage against state of charge (0-1), a typical LiPo discharge curve
+ */
+const dischargeCurve = [
+  [0,    3.0],
+  [0.05, 3.3],
+  [0.1,  3.5],
+  [0.2,  3.65],
+  [0.4,  3.75],
+  [0.6,  3.85],
+  [0.8,  4.0],
+  [1,    4.2]
+];
+
+/**
+ * Helper function to read the resting cell voltage off the discharge curve
+ */
+function restingCellVoltage(charge) {
+  for (let i = 1; i < dischargeCurve.length; i++) {
+    const [charge1, voltage1] = dischargeCurve[i];
+    if (charge > charge1) continue;
+
+    const [charge0, voltage0] = dischargeCurve[i - 1];
+    return voltage0 + (voltage1 - voltage0) * (charge - charge0) / (charge1 - charge0);
+  }
+
+  return dischargeCurve[dischargeCurve.length - 1][1];
+}
+
+/**
+ * Sets up a simulated LiPo pack
+ * @param {Object} options - Pack overrides (see defaultPack)
+ * @returns {Object} Battery controls
+ */
+function setupBattery(options = {}) {
+  const pack = Object.assign({}, defaultPack, options);
+
+  const state = {
+    used: 0,          // mAh drawn so far
+    current: 0,       // A
+    cellVoltage: 0,   // V per cell under load
+    averageCell: 0,   // V per cell, smoothed like a flight controller reading
+    level: 'normal'   // 'normal', 'warning' or 'critical'
+  };
+
+  function replace() {
+    state.used = 0;
+    state.current = 0;
+    state.cellVoltage = state.averageCell = restingCellVoltage(1);
+    state.level = 'normal';
+  }
+
+  function getCharge() {
+    return Math.max(0, 1 - state.used / pack.capacity);
+  }
+
+  replace();
+
+  return {
+    /**
+     * Draws current for one frame
+     * @param {Number} delta - Seconds since the previous update
+     * @param {Array} motorOutputs - Motor outputs, each 0-1
+     */
+    update: (delta, motorOutputs) => {
+      // Motor power grows with the cube of rotor speed, the current is that power at the loaded pack voltage
+      const power = pack.idlePower + motorOutputs.reduce(
+        (sum, output) => sum + pack.maxMotorPower * output * output * output, 0
+      );
+      state.current = power / Math.max(state.cellVoltage * pack.cells, 1);
+      state.used += state.current * delta / 3.6; // A·s to mAh
+
+      state.cellVoltage = Math.max(0, restingCellVoltage(getCharge()) - state.current * pack.cellResistance);
+      state.averageCell += (state.cellVoltage - state.averageCell) * (1 - Math.exp(-delta / 0.5));
+
+      // A critical pack stays critical, even if the voltage recovers off throttle
+      if (state.level === 'critical' || state.averageCell <= pack.criticalVoltage || getCharge() === 0)
+        state.level = 'critical';
+      else
+        state.level = state.averageCell <= pack.warningVoltage ? 'warning' : 'normal';
+    },
+
+    // Thrust scales with the square of the loaded voltage, an empty pack gives none
+    getThrustScale: () => {
+      if (getCharge() === 0) return 0;
+      const ratio = state.cellVoltage / nominalCellVoltage;
+      return ratio * ratio;
+    },
+
+    /**
+     * Readings for the HUD
+     * @returns {Object} { voltage, cellVoltage, current, used, remaining (0-1), level }
+     */
+    getState: () => ({
+      voltage: state.averageCell * pack.cells,
+      cellVoltage: state.averageCell,
+      current: state.current,
+      used: state.used,
+      remaining: getCharge(),
+      level: state.level
+    }),
+
+    getPack: () => Object.assign({}, pack),
+
+    // Change cell count or capacity, which takes effect on a fresh pack
+    configure: (values) => {
+      Object.assign(pack, values);
+      replace();
+    },
+
+    replace: replace
+  };
+}
+
+// Export functions
+export {
+  setupBattery
+};
@@ -0,0 +1,145 @@
+/**
+ * Drone Collision Functions
+ *
+ * This file finds contacts between the drone and the terrain: the tops and
+ * sides of hex columns, and trees. A bounding sphere does the broad phase and
+ * the BVH of the drone body confirms the hit against the obstacle bounds.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Helper function to find the largest mesh of the model, used as the collision body
+ */
+function findBodyMesh(model) {
+  let body = null;
+  let largest = 0;
+  const size = new THREE.Vector3();
+
+  model.traverse((object) => {
+    if (!object.isMesh || !object.geometry) return;
+
+    object.geometry.computeBoundingBox();
+    object.geometry.boundingBox.getSize(size);
+    const volume = size.x * size.y * size.z;
+
+    if (volume > largest) {
+      largest = volume;
+      body = object;
+    }
+  });
+
+  return body;
+}
+
+/**
+ * Sets up collision detection for a drone model
+ * @param {Object} droneModel - The THREE.js model of the drone
+ * @param {Object} options - {
+ *   getColumnTop(tileX, tileY): height of a hex column top,
+ *   positionToTile(x, z): nearest hex { x, y },
+ *   tileToPosition(tileX, height, tileY): hex centre { x, y, z },
+ *   getObstacles(sphere): Box3 bounds of trees and other obstacles that may touch the sphere
+ * }
+ * @returns {Object} Collision controls
+ */
+function setupDroneCollision(droneModel, options) {
+  const hexRadius = 0.93; // Between the hex inradius (0.87) and circumradius (1)
+
+  droneModel.updateMatrixWorld(true);
+
+  const bodyMesh = findBodyMesh(droneModel);
+  if (bodyMesh) bodyMesh.geometry.computeBoundsTree();
+
+  const radius = new THREE.Box3()
+    .setFromObject(droneModel)
+    .getBoundingSphere(new THREE.Sphere())
+    .radius * 0.6;
+
+  const sphere = new THREE.Sphere(new THREE.Vector3(), radius);
+  const box = new THREE.Box3();
+  const boxToBody = new THREE.Matrix4();
+
+  // Narrow phase: does the drone body itself reach into the box?
+  function bodyIntersectsBox(bounds) {
+    if (!bodyMesh || !bodyMesh.geometry.boundsTree) return true;
+
+    boxToBody.copy(bodyMesh.matrixWorld).invert();
+    return bodyMesh.geometry.boundsTree.intersectsBox(bounds, boxToBody);
+  }
+
+  function findHexContact(position) {
+    const nearest = options.positionToTile(position.x, position.z);
+    let contact = null;
+
+    for (let i = nearest.x - 1; i <= nearest.x + 1; i++) {
+      for (let j = nearest.y - 1; j <= nearest.y + 1; j++) {
+
+        const top = options.getColumnTop(i, j);
+        const centre = options.tileToPosition(i, top, j);
+        const dx = position.x - centre.x;
+        const dz = position.z - centre.z;
+        const horizontal = Math.sqrt(dx * dx + dz * dz);
+
+        if (position.y - radius >= top || horizontal >= hexRadius + radius) continue;
+
+        box.min.set(centre.x - hexRadius, 0, centre.z - hexRadius);
+        box.max.set(centre.x + hexRadius, top, centre.z + hexRadius);
+        if (!bodyIntersectsBox(box)) continue;
+
+        // Resting on the top unless the drone centre is already below it
+        const onTop = position.y > top - radius * 0.5;
+        const depth = onTop ? top + radius - position.y : hexRadius + radius - horizontal;
+
+        if (contact && contact.depth >= depth) continue;
+
+        contact = {
+          type: onTop ? 'ground' : 'side',
+          normal: onTop || horizontal === 0
+            ? new THREE.Vector3(0, 1, 0)
+            : new THREE.Vector3(dx / horizontal, 0, dz / horizontal),
+          depth: depth,
+          height: top
+        };
+      }
+    }
+
+    return contact;
+  }
+
+  function findObstacleContact(position) {
+    sphere.center.copy(position);
+    const obstacles = options.getObstacles(sphere);
+
+    for (let i = 0; i < obstacles.length; i++) {
+      if (!obstacles[i].intersectsSphere(sphere) || !bodyIntersectsBox(obstacles[i])) continue;
+
+      const centre = obstacles[i].getCenter(new THREE.Vector3());
+      const normal = new THREE.Vector3(position.x - centre.x, 0, position.z - centre.z);
+      if (normal.lengthSq() === 0) normal.set(0, 1, 0);
+
+      return { type: 'tree', normal: normal.normalize(), depth: radius * 0.5 };
+    }
+
+    return null;
+  }
+
+  return {
+    getRadius: () => radius,
+
+    /**
+     * Finds the deepest contact at a position
+     * @param {Object} position - Drone position (THREE.Vector3)
+     * @returns {Object|null} { type: 'ground' | 'side' | 'tree', normal, depth }
+     */
+    findContact: (position) => {
+      droneModel.updateMatrixWorld(true);
+      return findObstacleContact(position) || findHexContact(position);
+    }
+  };
+}
+
+// Export functions
+export {
+  setupDroneCollision
+};
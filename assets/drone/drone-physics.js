@@ -0,0 +1,470 @@
+/**
+ * Drone Physics Functions
+ *
+ * This file contains a rigid-body flight model for the quadcopter and the
+ * flight controller that turns stick input into the four motor outputs.
+ *
+ * Body axes follow the character: +Z is forward, +Y is up and +X is left.
+ * Units are metres, kilograms and seconds (one world unit is one metre).
+ */
+
+import * as THREE from 'three';
+
+const GRAVITY = 9.81;
+
+/**
+ * Default airframe values, roughly those of a DJI FPV
+ */
+const defaultAirframe = {
+  mass: 0.795,                    // kg
+  armLength: 0.15,                // m, motor to centre of the frame
+  rotorRadius: 0.065,             // m, 5 inch propellers
+  maxMotorThrust: 7.8,            // N per motor at full output (~4:1 thrust to weight)
+  motorTimeConstant: 0.03,        // s, how fast a motor spools to its command
+  yawTorqueRatio: 0.016,          // N·m of reaction torque per N of thrust
+  inertia: { x: 0.007, y: 0.012, z: 0.007 }, // kg·m²
+  drag: { x: 0.008, y: 0.02, z: 0.005 },      // quadratic drag per body axis
+  angularDrag: 0.02,              // N·m·s/rad, keeps free spin from running away
+  washDescentRate: 2,             // m/s, sinking faster than this the rotors fall into their own downwash
+  washThrustLoss: 0.3,            // share of thrust lost deep in the downwash
+  buffetTorque: 0.03              // N·m of shaking in fully rough air
+};
+
+/**
+ * Motor layout for an X frame, listed as rear-right, front-right, rear-left, front-left.
+ * `spin` is the yaw reaction direction of each motor; diagonal motors share it.
+ */
+const motorLayout = [
+  { x: -1, z: -1, spin:  1 },
+  { x: -1, z:  1, spin: -1 },
+  { x:  1, z: -1, spin: -1 },
+  { x:  1, z:  1, spin:  1 }
+];
+
+/**
+ * Flight modes, as found in FPV firmware.
+ * `level` is how the pitch/roll sticks are read: as angle targets ('angle'), as
+ * rates ('rate') or blended from angle at centre to rate at full deflection ('horizon').
+ * `throttle` is either a direct collective ('manual') or a climb rate ('climbRate').
+ */
+const flightModes = {
+  angle: {
+    label: 'Angle',
+    level: 'angle',
+    throttle: 'manual'
+  },
+  horizon: {
+    label: 'Horizon',
+    level: 'horizon',
+    throttle: 'manual'
+  },
+  acro: {
+    label: 'Acro',
+    level: 'rate',
+    throttle: 'manual'
+  },
+  altitude: {
+    label: 'Alt Hold',
+    level: 'angle',
+    throttle: 'climbRate'
+  }
+};
+
+/**
+ * Default flight limits. The ceiling is an altitude cap in world height, the
+ * floor a minimum height above the terrain; either can be Infinity / 0 to turn it off.
+ */
+const defaultLimits = {
+  ceiling: 120,   // m
+  floor: 0        // m above ground
+};
+
+/**
+ * Helper function for the thrust gained close to the ground (Cheeseman-Bennett),
+ * as a multiplier of the thrust out of ground effect
+ */
+function groundEffect(rotorRadius, height) {
+  const ratio = rotorRadius / (4 * Math.max(height, rotorRadius / 2));
+  return 1 / (1 - ratio * ratio);
+}
+
+/**
+ * Helper function for how deep the rotors sit in their own downwash (vortex ring state),
+ * 0 to 1 from the air velocity in body axes
+ */
+function downwash(airframe, bodyAirVelocity) {
+  const sinking = -bodyAirVelocity.y - airframe.washDescentRate;
+  const crossing = Math.sqrt(bodyAirVelocity.x * bodyAirVelocity.x + bodyAirVelocity.z * bodyAirVelocity.z);
+
+  // Flying forward out of the column of air clears it
+  return THREE.MathUtils.clamp(sinking / 4, 0, 1) * THREE.MathUtils.clamp(1 - crossing / 5, 0, 1);
+}
+
+/**
+ * Helper function for flight without a wind field
+ */
+function stillAir(position, target) {
+  target.set(0, 0, 0);
+  return 0;
+}
+
+/**
+ * Sets up the rigid-body flight model for a drone model
+ * @param {Object} droneModel - The THREE.js model of the drone, used for the initial state
+ * @param {Object} options - Airframe overrides (see defaultAirframe),
+ * getGroundHeight(x, z) for the terrain height used by ground effect (flat ground at 0 without it),
+ * and getWind(position, target) writing the air velocity into target and returning
+ * how rough the air is from 0 to 1 (still air without it)
+ * @returns {Object} Physics controls
+ */
+function setupDronePhysics(droneModel, options = {}) {
+  const { getGroundHeight = () => 0, getWind = stillAir, ...overrides } = options;
+  const airframe = Object.assign({}, defaultAirframe, overrides);
+
+  // Motors sit on the diagonals, so each axis offset is armLength / √2
+  const motorOffset = airframe.armLength / Math.SQRT2;
+  const fixedStep = 1 / 240;
+
+  const state = {
+    position: droneModel.position.clone(),
+    velocity: new THREE.Vector3(),
+    quaternion: droneModel.quaternion.clone(),
+    angularVelocity: new THREE.Vector3(), // rad/s in body axes
+    motorCommands: [0, 0, 0, 0],
+    motorOutputs: [0, 0, 0, 0]
+  };
+
+  const initialPosition = state.position.clone();
+  const initialQuaternion = state.quaternion.clone();
+
+  // Scratch objects reused every step
+  const force = new THREE.Vector3();
+  const torque = new THREE.Vector3();
+  const bodyVelocity = new THREE.Vector3(); // Air velocity over the frame, in body axes
+  const wind = new THREE.Vector3();
+  const buffet = new THREE.Vector3();
+  const inverseQuaternion = new THREE.Quaternion();
+  const spin = new THREE.Quaternion();
+  const gyroscopic = new THREE.Vector3();
+  const euler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+  let accumulator = 0;
+  let thrustScale = 1; // Battery voltage against the nominal the airframe was rated at
+  let roughAir = 0;
+
+  // Start with the motors at hover so the drone does not drop on spawn
+  const hoverOutput = Math.sqrt((airframe.mass * GRAVITY) / (4 * airframe.maxMotorThrust));
+  state.motorCommands.fill(hoverOutput);
+  state.motorOutputs.fill(hoverOutput);
+
+  function integrate(dt) {
+    const spool = 1 - Math.exp(-dt / airframe.motorTimeConstant);
+
+    force.set(0, 0, 0);
+    torque.set(0, 0, 0);
+
+    // The drone moves through the air, so drag and downwash follow the velocity against the wind
+    inverseQuaternion.copy(state.quaternion).invert();
+    bodyVelocity.copy(state.velocity).sub(wind).applyQuaternion(inverseQuaternion);
+
+    // Rotors push against the ground below them, whatever height that terrain is
+    const heightAboveGround = state.position.y - getGroundHeight(state.position.x, state.position.z);
+    const cushion = groundEffect(airframe.rotorRadius, heightAboveGround);
+    const wash = downwash(airframe, bodyVelocity);
+    const washLoss = 1 - airframe.washThrustLoss * wash;
+
+    motorLayout.forEach((motor, index) => {
+      state.motorOutputs[index] += (state.motorCommands[index] - state.motorOutputs[index]) * spool;
+
+      // Thrust grows with the square of rotor speed
+      const output = state.motorOutputs[index];
+      const thrust = airframe.maxMotorThrust * output * output * cushion * washLoss * thrustScale;
+
+      force.y += thrust;
+      torque.x -= motor.z * motorOffset * thrust;
+      torque.z += motor.x * motorOffset * thrust;
+      torque.y += motor.spin * airframe.yawTorqueRatio * thrust;
+    });
+
+    // Rough air and the drone's own downwash shake the frame with a wandering torque
+    const shake = Math.max(roughAir, wash);
+    if (shake > 0) {
+      buffet.x += (Math.random() * 2 - 1 - buffet.x) * 0.05;
+      buffet.y += (Math.random() * 2 - 1 - buffet.y) * 0.05;
+      buffet.z += (Math.random() * 2 - 1 - buffet.z) * 0.05;
+      torque.addScaledVector(buffet, airframe.buffetTorque * shake);
+    }
+
+    // Aerodynamic drag is evaluated in body axes so the frame shape matters
+    force.x -= airframe.drag.x * bodyVelocity.x * Math.abs(bodyVelocity.x);
+    force.y -= airframe.drag.y * bodyVelocity.y * Math.abs(bodyVelocity.y);
+    force.z -= airframe.drag.z * bodyVelocity.z * Math.abs(bodyVelocity.z);
+
+    // Linear motion in world axes
+    force.applyQuaternion(state.quaternion);
+    force.y -= airframe.mass * GRAVITY;
+    state.velocity.addScaledVector(force, dt / airframe.mass);
+    state.position.addScaledVector(state.velocity, dt);
+
+    // Angular motion in body axes: Iω̇ = τ - ω × Iω
+    const w = state.angularVelocity;
+    gyroscopic.set(w.x * airframe.inertia.x, w.y * airframe.inertia.y, w.z * airframe.inertia.z);
+    gyroscopic.crossVectors(w, gyroscopic);
+    torque.sub(gyroscopic).addScaledVector(w, -airframe.angularDrag);
+
+    w.x += (torque.x / airframe.inertia.x) * dt;
+    w.y += (torque.y / airframe.inertia.y) * dt;
+    w.z += (torque.z / airframe.inertia.z) * dt;
+
+    const angle = w.length() * dt;
+    if (angle > 0) {
+      spin.setFromAxisAngle(gyroscopic.copy(w).normalize(), angle);
+      state.quaternion.multiply(spin).normalize();
+    }
+  }
+
+  return {
+    // Advance the simulation by a frame delta using fixed sub-steps
+    step: (delta) => {
+      // The air is sampled once a frame, it changes far slower than the sub-steps
+      roughAir = getWind(state.position, wind);
+
+      accumulator += Math.min(delta, 0.1);
+      while (accumulator >= fixedStep) {
+        integrate(fixedStep);
+        accumulator -= fixedStep;
+      }
+    },
+
+    // Motor commands are 0-1 and are clamped here
+    setMotorCommands: (commands) => {
+      for (let i = 0; i < 4; i++)
+        state.motorCommands[i] = THREE.MathUtils.clamp(commands[i], 0, 1);
+    },
+
+    getState: () => state,
+
+    getMotorOutputs: () => state.motorOutputs,
+
+    getHoverOutput: () => hoverOutput,
+
+    getAirframe: () => airframe,
+
+    // Air velocity around the drone at the last step, in world axes
+    getWind: () => wind,
+
+    setThrustScale: (scale) => {
+      thrustScale = scale;
+    },
+
+    getHeightAboveGround: () => state.position.y - getGroundHeight(state.position.x, state.position.z),
+
+    // Attitude as heading, pitch (nose down positive) and roll
+    getAttitude: () => {
+      euler.setFromQuaternion(state.quaternion, 'YXZ');
+      return { yaw: euler.y, pitch: euler.x, roll: euler.z };
+    },
+
+    reset: (position = initialPosition, quaternion = initialQuaternion) => {
+      state.position.copy(position);
+      state.quaternion.copy(quaternion);
+      state.velocity.set(0, 0, 0);
+      state.angularVelocity.set(0, 0, 0);
+      state.motorCommands.fill(hoverOutput);
+      state.motorOutputs.fill(hoverOutput);
+      accumulator = 0;
+    }
+  };
+}
+
+/**
+ * Sets up a flight controller that stabilises the drone and mixes motor outputs
+ * @param {Object} dronePhysics - Controls returned by setupDronePhysics
+ * @param {Object} options - Controller tuning
+ * @returns {Object} Flight controller controls
+ */
+function setupFlightController(dronePhysics, options = {}) {
+  const config = {
+    maxAngle: options.maxAngle || THREE.MathUtils.degToRad(55),     // Self-level limit
+    maxYawRate: options.maxYawRate || THREE.MathUtils.degToRad(120), // rad/s at full stick
+    acroRate: options.acroRate || THREE.MathUtils.degToRad(670),     // rad/s at full stick in rate modes
+    acroExpo: options.acroExpo !== undefined ? options.acroExpo : 0.3,
+    maxClimbRate: options.maxClimbRate || 8,                         // m/s at full stick
+    angleGain: options.angleGain || 6,                               // rad/s per rad of error
+    climbGain: options.climbGain || 0.08,                            // output per m/s of error
+    climbIntegralGain: options.climbIntegralGain || 0.04,            // output per m of accumulated error
+    limitGain: options.limitGain || 1.5,                             // m/s of allowed climb per m to a limit
+    landingRate: options.landingRate || 1,                           // m/s, slowest descent allowed near the ground
+    rateGains: options.rateGains || {
+      x: { p: 0.04, i: 0.1, d: 0.0006 },
+      y: { p: 0.3, i: 0.3, d: 0 },
+      z: { p: 0.04, i: 0.1, d: 0.0006 }
+    }
+  };
+
+  const limits = Object.assign({}, defaultLimits, options.limits);
+
+  const integral = { x: 0, y: 0, z: 0, climb: 0 };
+  const lastRate = { x: 0, y: 0, z: 0 };
+  const commands = [0, 0, 0, 0];
+
+  let mode = flightModes[options.mode] ? options.mode : 'altitude';
+  let horizonStrength = 1;
+
+  // Rate curve with expo, softer around centre stick
+  function acroRate(stick) {
+    return (stick * (1 - config.acroExpo) + Math.pow(stick, 3) * config.acroExpo) * config.acroRate;
+  }
+
+  // Rate setpoint for a pitch or roll stick in the current mode
+  function levelRate(stick, angle) {
+    const angleRate = (stick * config.maxAngle - angle) * config.angleGain;
+
+    switch (flightModes[mode].level) {
+      case 'rate':
+        return acroRate(stick);
+      case 'horizon':
+        return angleRate * horizonStrength + acroRate(stick) * (1 - horizonStrength);
+      default:
+        return angleRate;
+    }
+  }
+
+  function resetIntegrals() {
+    integral.x = integral.y = integral.z = integral.climb = 0;
+  }
+
+  function pid(axis, setpoint, rate, dt) {
+    const gains = config.rateGains[axis];
+    const error = setpoint - rate;
+    integral[axis] = THREE.MathUtils.clamp(integral[axis] + error * dt, -1, 1);
+    // Derivative on measurement avoids a kick when the setpoint jumps
+    const derivative = dt > 0 ? (lastRate[axis] - rate) / dt : 0;
+    lastRate[axis] = rate;
+    return gains.p * error + gains.i * integral[axis] + gains.d * derivative;
+  }
+
+  // Climb rates allowed by the ceiling and floor, tightening as the drone nears either
+  function climbLimits(state) {
+    const heightAboveGround = dronePhysics.getHeightAboveGround();
+
+    return {
+      min: limits.floor > 0 ? (limits.floor - heightAboveGround) * config.limitGain : -Infinity,
+      max: (limits.ceiling - state.position.y) * config.limitGain,
+      // Alt Hold eases off the descent close to the ground so it can touch down softly
+      landing: -Math.max(config.landingRate, heightAboveGround * config.limitGain)
+    };
+  }
+
+  function mix(collective, pitch, yaw, roll) {
+    let highest = 0;
+
+    motorLayout.forEach((motor, index) => {
+      commands[index] = collective - motor.z * pitch + motor.x * roll + motor.spin * yaw;
+      highest = Math.max(highest, commands[index]);
+    });
+
+    // Keep attitude authority at full throttle by lowering every motor together
+    if (highest > 1) for (let i = 0; i < 4; i++) commands[i] -= highest - 1;
+
+    return commands;
+  }
+
+  return {
+    /**
+     * Runs one control cycle
+     * @param {Number} delta - Seconds since the previous cycle
+     * @param {Object} sticks - { throttle, yaw, pitch, roll } each -1 to 1,
+     * positive being climb, yaw right, pitch forward and roll right
+     */
+    update: (delta, sticks) => {
+      const dt = Math.min(delta, 0.1);
+      const state = dronePhysics.getState();
+      const attitude = dronePhysics.getAttitude();
+      const rate = state.angularVelocity;
+
+      const flightMode = flightModes[mode];
+
+      // Horizon levels less the further the sticks are from centre
+      horizonStrength = 1 - Math.min(Math.max(Math.abs(sticks.pitch), Math.abs(sticks.roll)), 1);
+
+      // Outer loop: sticks become rate setpoints
+      const pitchRate = levelRate(sticks.pitch, attitude.pitch);
+      const rollRate = levelRate(sticks.roll, attitude.roll);
+      const yawRate = flightMode.level === 'rate'
+        ? -acroRate(sticks.yaw)
+        : -sticks.yaw * config.maxYawRate; // +Y is a left turn
+
+      const tilt = Math.max(Math.cos(attitude.pitch) * Math.cos(attitude.roll), 0.5);
+      const hover = dronePhysics.getHoverOutput();
+      const tiltedHover = Math.sqrt((hover * hover) / tilt);
+      const allowedClimb = climbLimits(state);
+
+      let collective;
+
+      if (flightMode.throttle === 'climbRate') {
+        // Throttle stick commands a climb rate, tilt-compensated around hover
+        const climbRate = THREE.MathUtils.clamp(
+          sticks.throttle * config.maxClimbRate,
+          Math.max(allowedClimb.min, allowedClimb.landing),
+          allowedClimb.max
+        );
+        const climbError = climbRate - state.velocity.y;
+        integral.climb = THREE.MathUtils.clamp(integral.climb + climbError * dt, -5, 5);
+        collective = tiltedHover
+          + climbError * config.climbGain
+          + integral.climb * config.climbIntegralGain;
+      }
+      else {
+        // Throttle stick is the collective, low stick at -1 and full at 1
+        collective = (sticks.throttle + 1) / 2;
+
+        // The limits only step in when the pilot would break through them
+        if (state.velocity.y > allowedClimb.max)
+          collective = Math.min(collective, tiltedHover + (allowedClimb.max - state.velocity.y) * config.climbGain);
+        if (state.velocity.y < allowedClimb.min)
+          collective = Math.max(collective, tiltedHover + (allowedClimb.min - state.velocity.y) * config.climbGain);
+      }
+
+      dronePhysics.setMotorCommands(mix(
+        THREE.MathUtils.clamp(collective, 0.05, 1),
+        pid('x', pitchRate, rate.x, dt),
+        pid('y', yawRate, rate.y, dt),
+        pid('z', rollRate, rate.z, dt)
+      ));
+    },
+
+    setMode: (newMode) => {
+      if (!flightModes[newMode] || newMode === mode) return;
+      mode = newMode;
+      resetIntegrals();
+    },
+
+    getMode: () => mode,
+
+    // Whether the throttle stick asks for more than hover, used to lift off the ground
+    commandsLift: (sticks) => {
+      if (flightModes[mode].throttle === 'climbRate') return sticks.throttle > 0.1;
+      return (sticks.throttle + 1) / 2 > dronePhysics.getHoverOutput() * 1.05;
+    },
+
+    // Update the ceiling and/or floor, see defaultLimits
+    setLimits: (values) => {
+      Object.assign(limits, values);
+    },
+
+    getLimits: () => Object.assign({}, limits),
+
+    reset: () => {
+      resetIntegrals();
+      lastRate.x = lastRate.y = lastRate.z = 0;
+    }
+  };
+}
+
+// Export functions
+export {
+  flightModes,
+  setupDronePhysics,
+  setupFlightController
+};
@@ -0,0 +1,269 @@
+/**
+ * Gamepad Input Functions
+ *
+ * This file reads analog sticks from the Gamepad API, including USB RC
+ * transmitters in joystick mode, and turns them into flight controller sticks.
+ */
+
+const STORAGE_KEY = 'quad-tok-gamepad';
+
+const channelNames = ['throttle', 'yaw', 'pitch', 'roll'];
+
+/**
+ * Default axis assignments. Standard-mapped gamepads fly Mode 2 (throttle and
+ * yaw on the left stick); transmitters usually report AETR channel order.
+ */
+const axisPresets = {
+  standard: {
+    throttle: { axis: 1, invert: true },
+    yaw:      { axis: 0, invert: false },
+    pitch:    { axis: 3, invert: true },
+    roll:     { axis: 2, invert: false }
+  },
+  transmitter: {
+    throttle: { axis: 2, invert: false },
+    yaw:      { axis: 3, invert: false },
+    pitch:    { axis: 1, invert: false },
+    roll:     { axis: 0, invert: false }
+  }
+};
+
+const defaultChannel = {
+  deadzone: 0.05, // Fraction of travel around centre that reads as zero
+  expo: 0.2       // 0 is linear, 1 is fully cubic
+};
+
+// Ranges the settings panel offers for deadzone and expo
+const channelLimits = {
+  deadzone: { min: 0, max: 0.3, step: 0.01 },
+  expo:     { min: 0, max: 1,   step: 0.05 }
+};
+
+/**
+ * Helper function to load saved settings for every controller seen before
+ */
+function loadSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('Could not read gamepad settings', error);
+    return {};
+  }
+}
+
+/**
+ * Helper function to map a raw axis value to -1..1 using its calibration
+ */
+function normaliseAxis(raw, calibration) {
+  if (!calibration) return raw;
+
+  const value = raw >= calibration.centre
+    ? (raw - calibration.centre) / ((calibration.max - calibration.centre) || 1)
+    : (raw - calibration.centre) / ((calibration.centre - calibration.min) || 1);
+
+  return Math.max(-1, Math.min(1, value));
+}
+
+/**
+ * Helper function to apply deadzone and expo to a -1..1 stick value
+ */
+function shapeStick(value, deadzone, expo) {
+  const magnitude = Math.abs(value);
+  if (magnitude <= deadzone) return 0;
+
+  const scaled = Math.sign(value) * (magnitude - deadzone) / (1 - deadzone);
+  return scaled * (1 - expo) + Math.pow(scaled, 3) * expo;
+}
+
+/**
+ * Sets up analog stick input from the Gamepad API
+ * @param {Object} options - { onChange } called with the gamepad name (or null) on connect/disconnect
+ * @returns {Object} Gamepad controls
+ */
+function setupGamepadInput(options = {}) {
+  const settings = loadSettings();
+
+  let gamepadId = null;
+  let calibrating = null; // Axis ranges seen while calibrating
+
+  // Settings for the connected controller, created from a preset on first use
+  function getProfile(gamepad) {
+    if (!settings[gamepad.id]) {
+      const preset = axisPresets[gamepad.mapping === 'standard' ? 'standard' : 'transmitter'];
+      const channels = {};
+
+      channelNames.forEach(name => {
+        channels[name] = Object.assign({}, defaultChannel, preset[name]);
+      });
+
+      // Throttle on a transmitter does not spring back, expo only hurts it
+      if (gamepad.mapping !== 'standard') channels.throttle.expo = 0;
+
+      settings[gamepad.id] = { channels: channels, calibration: {} };
+    }
+
+    return settings[gamepad.id];
+  }
+
+  function saveSettings() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+      console.warn('Could not save gamepad settings', error);
+    }
+  }
+
+  function getGamepad() {
+    const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+
+    for (let i = 0; i < gamepads.length; i++)
+      if (gamepads[i] && gamepads[i].connected) return gamepads[i];
+
+    return null;
+  }
+
+  function notify() {
+    const gamepad = getGamepad();
+    gamepadId = gamepad ? gamepad.id : null;
+    if (options.onChange) options.onChange(gamepadId);
+  }
+
+  window.addEventListener('gamepadconnected', notify);
+  window.addEventListener('gamepaddisconnected', notify);
+
+  return {
+    /**
+     * Reads the connected controller
+     * @returns {Object|null} { throttle, yaw, pitch, roll } each -1 to 1, or null without a controller
+     */
+    poll: () => {
+      const gamepad = getGamepad();
+      if (!gamepad) return null;
+
+      if (gamepad.id !== gamepadId) notify();
+
+      // Track the travel of every axis while the pilot stirs the sticks
+      if (calibrating) {
+        gamepad.axes.forEach((value, axis) => {
+          const range = calibrating[axis] || (calibrating[axis] = { min: value, max: value });
+          range.min = Math.min(range.min, value);
+          range.max = Math.max(range.max, value);
+        });
+        return { throttle: 0, yaw: 0, pitch: 0, roll: 0 };
+      }
+
+      const profile = getProfile(gamepad);
+      const sticks = {};
+
+      channelNames.forEach(name => {
+        const channel = profile.channels[name];
+        const raw = gamepad.axes[channel.axis] || 0;
+        const value = normaliseAxis(raw, profile.calibration[channel.axis]);
+        sticks[name] = shapeStick(channel.invert ? -value : value, channel.deadzone, channel.expo);
+      });
+
+      return sticks;
+    },
+
+    // Button states of the connected controller, as { pressed, value }
+    getButtons: () => {
+      const gamepad = getGamepad();
+      return gamepad ? gamepad.buttons.map(button => ({ pressed: button.pressed, value: button.value })) : [];
+    },
+
+    isConnected: () => !!getGamepad(),
+
+    getName: () => gamepadId,
+
+    // Start recording stick travel, the pilot should move every stick to its limits
+    startCalibration: () => {
+      if (!getGamepad()) return false;
+      calibrating = {};
+      return true;
+    },
+
+    // Finish with the self-centring sticks released; their resting value becomes the centre
+    finishCalibration: () => {
+      const gamepad = getGamepad();
+      if (!gamepad || !calibrating) return false;
+
+      const profile = getProfile(gamepad);
+
+      Object.keys(calibrating).forEach(axis => {
+        const range = calibrating[axis];
+        if (range.max - range.min < 0.2) return; // Axis was not moved
+
+        const resting = gamepad.axes[axis];
+        const midpoint = (range.min + range.max) / 2;
+        const throttleAxis = profile.channels.throttle.axis === Number(axis);
+
+        profile.calibration[axis] = {
+          min: range.min,
+          max: range.max,
+          // A throttle stick rests wherever it was left, so use the midpoint of its travel
+          centre: throttleAxis ? midpoint : resting
+        };
+      });
+
+      calibrating = null;
+      saveSettings();
+      return true;
+    },
+
+    cancelCalibration: () => {
+      calibrating = null;
+    },
+
+    isCalibrating: () => !!calibrating,
+
+    // Number of axes the connected controller reports, 0 without one
+    getAxisCount: () => {
+      const gamepad = getGamepad();
+      return gamepad ? gamepad.axes.length : 0;
+    },
+
+    getChannels: () => {
+      const gamepad = getGamepad();
+      return gamepad ? getProfile(gamepad).channels : null;
+    },
+
+    // Update axis, invert, deadzone or expo for a channel and store it
+    setChannel: (name, values) => {
+      const gamepad = getGamepad();
+      if (!gamepad || !channelNames.includes(name)) return;
+
+      const profile = getProfile(gamepad);
+      const channel = profile.channels[name];
+      const axis = values.axis === undefined ? channel.axis : Number(values.axis);
+
+      // Only axes the controller has can drive a channel
+      if (!Number.isInteger(axis) || axis < 0 || axis >= gamepad.axes.length) return;
+
+      Object.assign(channel, values, { axis: axis });
+      Object.keys(channelLimits).forEach(key => {
+        channel[key] = Math.max(channelLimits[key].min, Math.min(channelLimits[key].max, Number(channel[key]) || 0));
+      });
+
+      // A throttle moved to an axis calibrated before is centred on its travel, it does not spring back
+      const calibration = profile.calibration[axis];
+      if (name === 'throttle' && calibration) calibration.centre = (calibration.min + calibration.max) / 2;
+
+      saveSettings();
+    },
+
+    resetProfile: () => {
+      const gamepad = getGamepad();
+      if (!gamepad) return;
+
+      delete settings[gamepad.id];
+      saveSettings();
+    }
+  };
+}
+
+// Export functions
+export {
+  channelNames,
+  channelLimits,
+  setupGamepadInput
+};
@@ -0,0 +1,290 @@
+/**
+ * Input Functions
+ *
+ * This file maps logical actions (throttle up, toggle camera, ...) to the
+ * keyboard, the touch joystick and gamepad buttons, with remappable bindings.
+ */
+
+const STORAGE_KEY = 'quad-tok-bindings';
+
+/**
+ * Logical actions. Axis actions come in pairs that make up a stick, button
+ * actions fire once when pressed.
+ */
+const actions = {
+  throttleUp:       { label: 'Throttle up',     type: 'axis',   axis: 'throttle', sign:  1 },
+  throttleDown:     { label: 'Throttle down',   type: 'axis',   axis: 'throttle', sign: -1 },
+  yawLeft:          { label: 'Yaw left',        type: 'axis',   axis: 'yaw',      sign: -1 },
+  yawRight:         { label: 'Yaw right',       type: 'axis',   axis: 'yaw',      sign:  1 },
+  pitchForward:     { label: 'Pitch forward',   type: 'axis',   axis: 'pitch',    sign:  1 },
+  pitchBack:        { label: 'Pitch back',      type: 'axis',   axis: 'pitch',    sign: -1 },
+  rollLeft:         { label: 'Roll left',       type: 'axis',   axis: 'roll',     sign: -1 },
+  rollRight:        { label: 'Roll right',      type: 'axis',   axis: 'roll',     sign:  1 },
+  toggleSpeed:      { label: 'Toggle speed',    type: 'button' },
+  toggleCamera:     { label: 'Camera view',     type: 'button' },
+  cycleFlightMode:  { label: 'Flight mode',     type: 'button' },
+  arm:              { label: 'Arm / disarm',    type: 'button' },
+  respawn:          { label: 'Respawn',         type: 'button' }
+};
+
+/**
+ * Default bindings per source. Keyboard bindings are KeyboardEvent.code values,
+ * so they follow key position rather than layout; gamepad bindings are button
+ * indices; touch bindings are joystick directions.
+ */
+const defaultBindings = {
+  keyboard: {
+    throttleUp:       'ArrowUp',
+    throttleDown:     'ArrowDown',
+    yawLeft:          'ArrowLeft',
+    yawRight:         'ArrowRight',
+    pitchForward:     'KeyW',
+    pitchBack:        'KeyS',
+    rollLeft:         'KeyA',
+    rollRight:        'KeyD',
+    toggleSpeed:      'Space',
+    toggleCamera:     'KeyZ',
+    cycleFlightMode:  'KeyM',
+    arm:              'KeyE',
+    respawn:          'KeyR'
+  },
+  gamepad: {
+    toggleSpeed:      0,
+    toggleCamera:     3,
+    cycleFlightMode:  2,
+    arm:              9,
+    respawn:          1
+  },
+  touch: {
+    throttleUp:       'up',
+    throttleDown:     'down',
+    yawLeft:          'left',
+    yawRight:         'right'
+  }
+};
+
+const touchDirections = ['up', 'down', 'left', 'right'];
+
+/**
+ * Helper function to load stored bindings over the defaults
+ */
+function loadBindings() {
+  const bindings = JSON.parse(JSON.stringify(defaultBindings));
+
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    Object.keys(bindings).forEach(source => Object.assign(bindings[source], stored[source]));
+  } catch (error) {
+    console.warn('Could not read key bindings', error);
+  }
+
+  return bindings;
+}
+
+/**
+ * Helper function to turn a binding into something readable
+ */
+function describeBinding(source, binding) {
+  if (binding === undefined || binding === null || binding === '') return '—';
+  if (source === 'gamepad') return `Button ${binding}`;
+  if (source === 'touch') return binding;
+
+  return binding
+    .replace(/^Key/, '')
+    .replace(/^Digit/, '')
+    .replace(/^Arrow(.*)$/, '$1 arrow');
+}
+
+/**
+ * Helper function to tell whether key presses are meant for a form field
+ */
+function isTextEntry(target) {
+  return !!target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || !!target.isContentEditable);
+}
+
+/**
+ * Sets up the input layer
+ * @param {Object} options - { gamepadInput } controls from setupGamepadInput, for buttons
+ * @returns {Object} Input controls
+ */
+function setupInput(options = {}) {
+  let bindings = loadBindings();
+
+  const keysDown = new Set();
+  const listeners = {};
+  const touch = { x: 0, y: 0 };
+
+  let gamepadButtons = [];
+  let enabled = true;
+  let capture = null; // Pending remap, { source, action, callback }
+
+  function saveBindings() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+    } catch (error) {
+      console.warn('Could not save key bindings', error);
+    }
+  }
+
+  function fire(action) {
+    (listeners[action] || []).forEach(callback => callback());
+  }
+
+  // Each source reports 0-1 for an action, the strongest one wins
+  function getValue(action) {
+    if (!enabled) return 0;
+
+    const key = bindings.keyboard[action];
+    const button = bindings.gamepad[action];
+    const direction = bindings.touch[action];
+
+    let value = key && keysDown.has(key) ? 1 : 0;
+
+    if (button !== undefined && button !== null && gamepadButtons[button])
+      value = Math.max(value, gamepadButtons[button].value);
+
+    if (direction === 'up')    value = Math.max(value, touch.y);
+    if (direction === 'down')  value = Math.max(value, -touch.y);
+    if (direction === 'left')  value = Math.max(value, -touch.x);
+    if (direction === 'right') value = Math.max(value, touch.x);
+
+    return value;
+  }
+
+  function assign(source, action, binding) {
+    // A key or button drives one action only, so release it from any other
+    Object.keys(bindings[source]).forEach(other => {
+      if (source !== 'touch' && bindings[source][other] === binding) bindings[source][other] = null;
+    });
+
+    bindings[source][action] = binding;
+    saveBindings();
+  }
+
+  function finishCapture(binding) {
+    const pending = capture;
+    capture = null;
+
+    if (binding !== null) assign(pending.source, pending.action, binding);
+    if (pending.callback) pending.callback(binding);
+  }
+
+  function keyDown(event) {
+    if (capture && capture.source === 'keyboard') {
+      event.preventDefault();
+      return finishCapture(event.code === 'Escape' ? null : event.code);
+    }
+
+    // Typing in a form field, e.g. a track name, is not flying
+    if (isTextEntry(event.target)) return;
+
+    if (!enabled || keysDown.has(event.code)) return;
+
+    keysDown.add(event.code);
+
+    Object.keys(actions).forEach(action => {
+      if (actions[action].type === 'button' && bindings.keyboard[action] === event.code) fire(action);
+    });
+  }
+
+  function keyUp(event) {
+    keysDown.delete(event.code);
+  }
+
+  window.addEventListener('keydown', keyDown);
+  window.addEventListener('keyup', keyUp);
+  window.addEventListener('blur', () => keysDown.clear());
+
+  return {
+    // Poll gamepad buttons, call once per frame
+    update: () => {
+      const previous = gamepadButtons;
+      gamepadButtons = options.gamepadInput ? options.gamepadInput.getButtons() : [];
+
+      gamepadButtons.forEach((button, index) => {
+        const wasPressed = previous[index] && previous[index].pressed;
+        if (!button.pressed || wasPressed) return;
+
+        if (capture && capture.source === 'gamepad') return finishCapture(index);
+        if (!enabled) return;
+
+        Object.keys(actions).forEach(action => {
+          if (actions[action].type === 'button' && bindings.gamepad[action] === index) fire(action);
+        });
+      });
+    },
+
+    getValue: getValue,
+
+    isActive: (action) => getValue(action) > 0,
+
+    anyActive: () => Object.keys(actions).some(action => actions[action].type === 'axis' && getValue(action) > 0),
+
+    /**
+     * Digital sources combined into sticks
+     * @returns {Object} { throttle, yaw, pitch, roll } each -1 to 1
+     */
+    getAxes: () => {
+      const axes = { throttle: 0, yaw: 0, pitch: 0, roll: 0 };
+
+      Object.keys(actions).forEach(action => {
+        const definition = actions[action];
+        if (definition.type === 'axis') axes[definition.axis] += definition.sign * getValue(action);
+      });
+
+      return axes;
+    },
+
+    // Listen for a button action
+    on: (action, callback) => {
+      (listeners[action] = listeners[action] || []).push(callback);
+    },
+
+    // Touch joystick position, x right and y up, each -1 to 1
+    setTouchVector: (x, y) => {
+      touch.x = Math.max(-1, Math.min(1, x));
+      touch.y = Math.max(-1, Math.min(1, y));
+    },
+
+    releaseTouch: () => {
+      touch.x = touch.y = 0;
+    },
+
+    // Ignore new presses, e.g. while a modal is open
+    setEnabled: (value) => {
+      enabled = value;
+      if (!enabled) keysDown.clear();
+    },
+
+    getBindings: () => bindings,
+
+    describe: (source, action) => describeBinding(source, bindings[source][action]),
+
+    setBinding: (source, action, binding) => {
+      if (!bindings[source] || !actions[action]) return;
+      assign(source, action, binding);
+    },
+
+    // Bind the next key or gamepad button pressed; callback gets the binding, or null if cancelled
+    captureBinding: (source, action, callback) => {
+      if (capture) finishCapture(null);
+      capture = { source: source, action: action, callback: callback };
+    },
+
+    cancelCapture: () => {
+      if (capture) finishCapture(null);
+    },
+
+    resetBindings: () => {
+      bindings = JSON.parse(JSON.stringify(defaultBindings));
+      saveBindings();
+    }
+  };
+}
+
+// Export functions
+export {
+  actions,
+  touchDirections,
+  setupInput
+};
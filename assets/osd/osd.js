@@ -0,0 +1,243 @@
+/**
+ * OSD Functions
+ *
+ * This file draws a Betaflight-style on-screen display over the first-person
+ * view. Elements sit on the same 30 x 16 character grid as an analog OSD, and
+ * which ones show, and where, is saved in the browser.
+ */
+
+const STORAGE_KEY = 'quad-tok-osd';
+
+const GRID_COLUMNS  = 30;
+const GRID_ROWS     = 16;
+
+/**
+ * OSD elements and their default grid positions (column x, row y of the
+ * element centre). The horizon is drawn around its position, the rest is text.
+ */
+const osdElements = {
+  horizon:    { label: 'Artificial horizon',  x: 15, y: 8,  enabled: true },
+  altitude:   { label: 'Altitude',            x: 26, y: 8,  enabled: true },
+  speed:      { label: 'Speed',               x: 4,  y: 8,  enabled: true },
+  heading:    { label: 'Heading',             x: 15, y: 1,  enabled: true },
+  flightMode: { label: 'Flight mode',         x: 4,  y: 14, enabled: true },
+  battery:    { label: 'Battery',             x: 26, y: 14, enabled: true },
+  timer:      { label: 'Flight timer',        x: 26, y: 1,  enabled: true },
+  throttle:   { label: 'Throttle',            x: 4,  y: 1,  enabled: true },
+  warnings:   { label: 'Warnings',            x: 15, y: 11, enabled: true }
+};
+
+/**
+ * Helper function to load saved element settings over the defaults
+ */
+function loadLayout() {
+  const layout = {};
+
+  Object.keys(osdElements).forEach(name => {
+    const { x, y, enabled } = osdElements[name];
+    layout[name] = { x: x, y: y, enabled: enabled };
+  });
+
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    Object.keys(layout).forEach(name => Object.assign(layout[name], stored[name]));
+  } catch (error) {
+    console.warn('Could not read OSD layout', error);
+  }
+
+  return layout;
+}
+
+/**
+ * Helper function to format seconds as mm:ss
+ */
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest    = Math.floor(seconds % 60);
+  return `${String(minutes).padStart(2, '0')}:${String(rest).padStart(2, '0')}`;
+}
+
+/**
+ * Helper function to draw the horizon line and pitch ladder, rolled and pitched with the drone
+ */
+function drawHorizon(context, centreX, centreY, pitch, roll, scale) {
+  const pixelsPerDegree = scale * 0.15;
+
+  context.save();
+  context.translate(centreX, centreY);
+
+  // Fixed aircraft symbol
+  context.lineWidth = 2;
+  context.beginPath();
+  context.moveTo(-scale * 0.5, 0);
+  context.lineTo(-scale * 0.2, 0);
+  context.moveTo(scale * 0.2, 0);
+  context.lineTo(scale * 0.5, 0);
+  context.moveTo(-4, 0);
+  context.arc(0, 0, 4, Math.PI, 0);
+  context.stroke();
+
+  // Positive pitch is nose down, which raises the horizon
+  context.rotate(-roll);
+  context.translate(0, -pitch * 180 / Math.PI * pixelsPerDegree);
+
+  context.beginPath();
+  context.moveTo(-scale * 2, 0);
+  context.lineTo(-scale * 0.7, 0);
+  context.moveTo(scale * 0.7, 0);
+  context.lineTo(scale * 2, 0);
+  context.stroke();
+
+  context.lineWidth = 1;
+  context.font = `${Math.round(scale * 0.22)}px monospace`;
+  context.textBaseline = 'middle';
+
+  for (let degrees = -40; degrees <= 40; degrees += 10) {
+    if (!degrees) continue;
+    const y = -degrees * pixelsPerDegree;
+
+    context.beginPath();
+    context.setLineDash(degrees < 0 ? [4, 4] : []);
+    context.moveTo(-scale * 0.6, y);
+    context.lineTo(-scale * 0.3, y);
+    context.moveTo(scale * 0.3, y);
+    context.lineTo(scale * 0.6, y);
+    context.stroke();
+    context.setLineDash([]);
+    context.fillText(String(Math.abs(degrees)), scale * 0.65, y);
+  }
+
+  context.restore();
+}
+
+/**
+ * Sets up the OSD inside a container that covers the view
+ * @param {Object} container - DOM element the OSD is drawn into
+ * @returns {Object} OSD controls
+ */
+function setupOsd(container) {
+  const layout = loadLayout();
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  const texts = {};
+
+  canvas.className = 'osd-horizon';
+  container.appendChild(canvas);
+
+  Object.keys(osdElements).forEach(name => {
+    if (name === 'horizon') return;
+    texts[name] = document.createElement('span');
+    texts[name].className = `osd-element osd-${name}`;
+    container.appendChild(texts[name]);
+  });
+
+  let visible = false;
+
+  function saveLayout() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(layout));
+    } catch (error) {
+      console.warn('Could not save OSD layout', error);
+    }
+  }
+
+  // Place every text element on the grid and hide the disabled ones
+  function applyLayout() {
+    Object.keys(texts).forEach(name => {
+      texts[name].style.left = `${(layout[name].x / GRID_COLUMNS) * 100}%`;
+      texts[name].style.top = `${(layout[name].y / GRID_ROWS) * 100}%`;
+      texts[name].style.display = layout[name].enabled ? '' : 'none';
+    });
+  }
+
+  function setText(name, text) {
+    if (texts[name].textContent !== text) texts[name].textContent = text;
+  }
+
+  applyLayout();
+
+  return {
+    /**
+     * Redraws the OSD, does nothing while hidden
+     * @param {Object} data - { pitch, roll, heightAboveGround, speed, heading, flightMode,
+     * voltage, cellVoltage, batteryLevel, flightTime, throttle, warning }
+     */
+    update: (data) => {
+      if (!visible) return;
+
+      setText('altitude', data.heightAboveGround === null ? '---M' : `${data.heightAboveGround.toFixed(1)}M`);
+      setText('speed', `${Math.round(data.speed * 3.6)}KM/H`);
+      setText('heading', `${String(Math.round(data.heading) % 360).padStart(3, '0')}°`);
+      setText('flightMode', data.flightMode.toUpperCase());
+      setText('battery', `${data.voltage.toFixed(1)}V ${data.cellVoltage.toFixed(2)}V`);
+      setText('timer', formatTime(data.flightTime));
+      setText('throttle', `THR ${Math.round(data.throttle * 100)}%`);
+      setText('warnings', data.warning.toUpperCase());
+
+      if (texts.battery.dataset.level !== data.batteryLevel) texts.battery.dataset.level = data.batteryLevel;
+
+      // Match the canvas to its displayed size so lines stay sharp
+      if (canvas.width !== canvas.clientWidth || canvas.height !== canvas.clientHeight) {
+        canvas.width = canvas.clientWidth;
+        canvas.height = canvas.clientHeight;
+      }
+
+      context.clearRect(0, 0, canvas.width, canvas.height);
+      if (!layout.horizon.enabled) return;
+
+      context.strokeStyle = context.fillStyle = '#fff';
+      context.shadowColor = '#000';
+      context.shadowBlur = 2;
+      drawHorizon(
+        context,
+        (layout.horizon.x / GRID_COLUMNS) * canvas.width,
+        (layout.horizon.y / GRID_ROWS) * canvas.height,
+        data.pitch,
+        data.roll,
+        canvas.height / GRID_ROWS * 2
+      );
+    },
+
+    setVisible: (show) => {
+      visible = show;
+      container.classList.toggle('osd-shown', show);
+    },
+
+    isVisible: () => visible,
+
+    // Element settings as { label, x, y, enabled } by name
+    getElements: () => {
+      const elements = {};
+      Object.keys(layout).forEach(name => {
+        elements[name] = Object.assign({ label: osdElements[name].label }, layout[name]);
+      });
+      return elements;
+    },
+
+    // Show, hide or move an element; positions are clamped to the grid
+    setElement: (name, values) => {
+      if (!layout[name]) return;
+
+      Object.assign(layout[name], values);
+      layout[name].x = Math.min(Math.max(Math.round(layout[name].x), 0), GRID_COLUMNS);
+      layout[name].y = Math.min(Math.max(Math.round(layout[name].y), 0), GRID_ROWS);
+      applyLayout();
+      saveLayout();
+    },
+
+    resetElements: () => {
+      Object.keys(osdElements).forEach(name => {
+        const { x, y, enabled } = osdElements[name];
+        Object.assign(layout[name], { x: x, y: y, enabled: enabled });
+      });
+      applyLayout();
+      saveLayout();
+    }
+  };
+}
+
+// Export functions
+export {
+  osdElements,
+  setupOsd
+};
@@ -0,0 +1,207 @@
+/**
+ * Ghost Race Functions
+ *
+ * This file keeps the fastest run on every race course and flies it as a
+ * translucent copy of the drone alongside the current attempt. Runs are
+ * stored as flight recordings with the course code and total time added, so
+ * a ghost file can be shared with other pilots and watched as a replay too.
+ */
+
+import { setupFlightRecorder, createReplay } from '../replay/flight-recorder.js';
+
+const STORAGE_KEY = 'quad-tok-race-ghosts';
+
+// Samples per second, enough for a smooth ghost and small enough to keep a few in the browser
+const ghostRate = 20;
+const maxGhosts = 8;
+
+/**
+ * Helper function to load the saved ghosts, keyed by course code
+ */
+function loadGhosts() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('Could not read race ghosts', error);
+    return {};
+  }
+}
+
+function saveGhosts(ghosts) {
+  // Only the most recently saved ghosts are kept, storage is a few megabytes at most
+  const codes = Object.keys(ghosts).sort((a, b) => ghosts[b].savedAt.localeCompare(ghosts[a].savedAt));
+  codes.slice(maxGhosts).forEach(code => { delete ghosts[code]; });
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(ghosts));
+  } catch (error) {
+    console.warn('Could not save race ghosts', error);
+  }
+}
+
+/**
+ * Helper function to build a see-through copy of the drone, sharing its geometry
+ */
+function createGhostMesh(model, opacity) {
+  const ghost = model.clone(true);
+
+  ghost.traverse(child => {
+    if (!child.isMesh) return;
+    child.material = child.material.clone();
+    child.material.transparent = true;
+    child.material.opacity = opacity;
+    child.material.depthWrite = false;
+    child.castShadow = false;
+  });
+  ghost.rotation.set(0, 0, 0);
+  ghost.visible = false;
+
+  return ghost;
+}
+
+/**
+ * Sets up ghost racing
+ * @param {Object} scene - THREE.Scene the ghost flies in
+ * @param {Object} options - { model: drone THREE.Object3D to copy, opacity }
+ * @returns {Object} Ghost race controls
+ */
+function setupGhostRace(scene, options) {
+  const mesh = createGhostMesh(options.model, options.opacity || 0.35);
+  scene.add(mesh);
+
+  const recorder = setupFlightRecorder();
+  const ghosts = loadGhosts();
+
+  let code = null;
+  let replay = null;
+  let nextSample = 0;
+
+  // The saved ghost of a course as a replay, null when there is none or it cannot be read
+  function loadReplay(courseCode) {
+    if (!ghosts[courseCode]) return null;
+
+    try {
+      return createReplay(ghosts[courseCode]);
+    } catch (error) {
+      console.warn('Could not read race ghost', error);
+      return null;
+    }
+  }
+
+  function addSample(time, position, quaternion) {
+    recorder.record({
+      time: time,
+      x: position.x, y: position.y, z: position.z,
+      qx: quaternion.x, qy: quaternion.y, qz: quaternion.z, qw: quaternion.w,
+      throttle: 0, yaw: 0, pitch: 0, roll: 0,
+      motor0: 0, motor1: 0, motor2: 0, motor3: 0,
+      camera: 0
+    });
+  }
+
+  return {
+    /**
+     * Gets ready for an attempt: loads the course ghost and starts a fresh run
+     * @param {String} courseCode - Course code the run is saved under
+     * @param {Object} details - { seed, biome } the course is flown in, for watching the run as a replay
+     */
+    start: (courseCode, details) => {
+      code = courseCode;
+      replay = loadReplay(code);
+      recorder.start(Object.assign({ code: code }, details));
+      nextSample = 0;
+      mesh.visible = false;
+    },
+
+    // Stops recording and takes the ghost away, e.g. when leaving the race
+    stop: () => {
+      code = replay = null;
+      recorder.stop();
+      mesh.visible = false;
+    },
+
+    /**
+     * Adds the drone to the current run, at most ghostRate times a second
+     * @param {Number} time - Race time in seconds
+     * @param {Object} position - Drone position (THREE.Vector3)
+     * @param {Object} quaternion - Drone attitude (THREE.Quaternion)
+     */
+    record: (time, position, quaternion) => {
+      if (!recorder.isRecording() || time < nextSample) return;
+
+      addSample(time, position, quaternion);
+      nextSample = time + 1 / ghostRate;
+    },
+
+    /**
+     * Moves the ghost to where it was at a race time, hidden once its run is over
+     * @param {Number} time - Race time in seconds
+     */
+    update: (time) => {
+      if (!replay) return;
+
+      replay.seek(time);
+      const frame = replay.getFrame();
+      mesh.position.set(frame.x, frame.y, frame.z);
+      mesh.quaternion.set(frame.qx, frame.qy, frame.qz, frame.qw).normalize();
+      mesh.visible = time < replay.getDuration();
+    },
+
+    /**
+     * Ends the run, keeping it as the course ghost when it beats the one saved
+     * @param {Number} total - Total race time in seconds
+     * @param {Object} position - Drone position at the finish
+     * @param {Object} quaternion - Drone attitude at the finish
+     * @returns {Boolean} Whether the run became the new ghost
+     */
+    finish: (total, position, quaternion) => {
+      if (!recorder.isRecording()) return false;
+
+      addSample(total, position, quaternion);
+      recorder.stop();
+
+      const saved = ghosts[code];
+      if (saved && saved.total <= total) return false;
+
+      ghosts[code] = Object.assign(recorder.exportRecording(), { code: code, total: total, savedAt: new Date().toISOString() });
+      saveGhosts(ghosts);
+      return true;
+    },
+
+    /**
+     * Total time of a course ghost
+     * @param {String} courseCode - Course code
+     * @returns {Number|null} Seconds, null without a ghost
+     */
+    getGhostTime: (courseCode) => ghosts[courseCode] ? ghosts[courseCode].total : null,
+
+    /**
+     * A course ghost as plain data, ready for JSON.stringify
+     * @param {String} courseCode - Course code
+     * @returns {Object|null} Flight recording with { code, total }, null without a ghost
+     */
+    exportGhost: (courseCode) => ghosts[courseCode] || null,
+
+    /**
+     * Saves a shared ghost as the ghost of its course, replacing the one there
+     * @param {Object} data - Result of exportGhost, e.g. parsed from a file
+     * @returns {String} Course code of the ghost
+     */
+    importGhost: (data) => {
+      if (!data || typeof data.code !== 'string' || !(data.total > 0))
+        throw new Error('Unsupported race ghost');
+      createReplay(data); // Throws when the run itself cannot be read
+
+      ghosts[data.code] = Object.assign({}, data, { savedAt: new Date().toISOString() });
+      saveGhosts(ghosts);
+      if (data.code === code) replay = loadReplay(code);
+
+      return data.code;
+    }
+  };
+}
+
+// Export functions
+export {
+  setupGhostRace
+};
@@ -0,0 +1,142 @@
+/**
+ * Race Course Functions
+ *
+ * This file turns a course code into a loop of gates over the terrain. The
+ * code holds everything the layout depends on, the world seed and biome
+ * included, so anyone entering the same code races the same course.
+ *
+ * A course code reads `<course>-<gates>-<laps>-<biome>-<world seed>`,
+ * e.g. `K7Q2-8-3-temperate-4821`.
+ */
+
+import { hashSeed, createRandom } from '../terrain/seed.js';
+
+const gateLimits = { min: 4, max: 16 };
+const lapLimits = { min: 1, max: 10 };
+
+/**
+ * Gate opening in world units, and the space kept between the opening and the terrain
+ */
+const gateSize = { width: 4, height: 3 };
+const gateClearance = 2;
+
+const courseRadius = { min: 45, max: 80 };
+const startDistance = 18; // Start pad before the first gate
+
+/**
+ * Reads a course code
+ * @param {String} code - Course code
+ * @param {Array} biomeNames - Valid biome names
+ * @returns {Object|null} { id, gateCount, laps, biome, worldSeed, code }, null if the code is not valid
+ */
+function parseCourseCode(code, biomeNames) {
+  const parts = String(code).trim().split('-');
+  if (parts.length < 5) return null;
+
+  const [id, gates, laps, biome] = parts;
+  const course = {
+    id: id.toUpperCase(),
+    gateCount: Number(gates),
+    laps: Number(laps),
+    biome: biome,
+    worldSeed: parts.slice(4).join('-') // Seeds may contain dashes themselves
+  };
+
+  if (!/^[0-9A-Z]{1,8}$/.test(course.id)) return null;
+  if (!Number.isInteger(course.gateCount) || course.gateCount < gateLimits.min || course.gateCount > gateLimits.max) return null;
+  if (!Number.isInteger(course.laps) || course.laps < lapLimits.min || course.laps > lapLimits.max) return null;
+  if (!biomeNames.includes(course.biome) || !course.worldSeed) return null;
+
+  course.code = [course.id, course.gateCount, course.laps, course.biome, course.worldSeed].join('-');
+  return course;
+}
+
+/**
+ * Rolls a new course code for a world
+ * @param {String} worldSeed - World seed
+ * @param {String} biome - Biome name
+ * @param {Object} options - { gateCount, laps }
+ * @returns {String} Course code
+ */
+function createCourseCode(worldSeed, biome, options = {}) {
+  const id = Math.floor(Math.random() * 36 * 36 * 36 * 36).toString(36).toUpperCase().padStart(4, '0');
+  return [id, options.gateCount || 8, options.laps || 3, biome, worldSeed].join('-');
+}
+
+/**
+ * Places the gates of a course, a rough loop around a centre near the origin
+ * @param {Object} course - Result of parseCourseCode
+ * @param {Function} getGroundHeight - (x, z) => terrain height at a world position
+ * @returns {Object} { gates: [{ position: { x, y, z }, yaw }], start: { x, z, yaw }, width, height }
+ */
+function generateCourse(course, getGroundHeight) {
+  const random = createRandom(hashSeed('course', course.worldSeed, course.biome, course.id, course.gateCount));
+
+  const centre = { x: (random() - 0.5) * 120, z: (random() - 0.5) * 120 };
+  const radius = courseRadius.min + random() * (courseRadius.max - courseRadius.min);
+  const direction = random() < 0.5 ? 1 : -1; // Clockwise or anticlockwise
+  const startAngle = random() * Math.PI * 2;
+
+  // Highest terrain under a gate opening, or along the line flown into it
+  const highestGround = (from, to, samples) => {
+    let highest = -Infinity;
+    for (let i = 0; i <= samples; i++) {
+      const t = i / samples;
+      highest = Math.max(highest, getGroundHeight(from.x + (to.x - from.x) * t, from.z + (to.z - from.z) * t));
+    }
+    return highest;
+  };
+
+  // Spread around the loop with some jitter, so no two courses look alike
+  const points = [];
+  for (let i = 0; i < course.gateCount; i++) {
+    const angle = startAngle + direction * ((i + (random() - 0.5) * 0.5) / course.gateCount) * Math.PI * 2;
+    const distance = radius * (0.7 + random() * 0.6);
+    points.push({ x: centre.x + Math.sin(angle) * distance, z: centre.z + Math.cos(angle) * distance });
+  }
+
+  const gates = points.map((point, index) => {
+    const previous = points[(index + points.length - 1) % points.length];
+    const next = points[(index + 1) % points.length];
+
+    // Face along the racing line, halfway between the way in and the way out
+    const yaw = Math.atan2((point.x - previous.x) + (next.x - point.x), (point.z - previous.z) + (next.z - point.z));
+    const side = { x: Math.cos(yaw) * gateSize.width / 2, z: -Math.sin(yaw) * gateSize.width / 2 };
+
+    const underGate = highestGround(
+      { x: point.x - side.x, z: point.z - side.z },
+      { x: point.x + side.x, z: point.z + side.z },
+      4
+    );
+    const onApproach = highestGround(previous, point, 24);
+    const bottom = Math.max(underGate + gateClearance + random() * 6, onApproach + gateClearance);
+
+    return { position: { x: point.x, y: bottom + gateSize.height / 2, z: point.z }, yaw: yaw };
+  });
+
+  return { gates: gates, start: getStartPad(gates[0]), width: gateSize.width, height: gateSize.height };
+}
+
+/**
+ * Where a race starts, in line behind the first gate and facing it
+ * @param {Object} gate - { position: { x, y, z }, yaw } of the first gate
+ * @returns {Object} { x, z, yaw }
+ */
+function getStartPad(gate) {
+  return {
+    x: gate.position.x - Math.sin(gate.yaw) * startDistance,
+    z: gate.position.z - Math.cos(gate.yaw) * startDistance,
+    yaw: gate.yaw
+  };
+}
+
+// Export functions
+export {
+  gateSize,
+  gateLimits,
+  lapLimits,
+  parseCourseCode,
+  createCourseCode,
+  generateCourse,
+  getStartPad
+};
@@ -0,0 +1,284 @@
+/**
+ * Race Mode Functions
+ *
+ * This file builds the gates of a course in the scene, detects the drone
+ * flying through them in order and keeps lap and split times. The best lap
+ * and total for every course code are saved in the browser, and splits are
+ * compared against the best lap.
+ */
+
+import * as THREE from 'three';
+
+const STORAGE_KEY = 'quad-tok-race-records';
+
+const barThickness = 0.3;
+const unitBox = new THREE.BoxGeometry(1, 1, 1); // Shared by every gate, scaled per bar
+
+/**
+ * Helper function to load the saved records, keyed by course code
+ */
+function loadRecords() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('Could not read race records', error);
+    return {};
+  }
+}
+
+function saveRecords(records) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+  } catch (error) {
+    console.warn('Could not save race records', error);
+  }
+}
+
+/**
+ * Builds a gate: a frame on two legs standing on the terrain, all boxes scaled from one geometry
+ * @param {Object} gate - { position: { x, y, z } of the opening centre, yaw }
+ * @param {Object} size - { width, height } of the opening
+ * @param {Function} getGroundHeight - (x, z) => terrain height, where the legs stand
+ * @param {Object} material - THREE.Material for every part
+ * @returns {Object} THREE.Group, facing +Z when yaw is 0
+ */
+function createGateMesh(gate, size, getGroundHeight, material) {
+  const group = new THREE.Group();
+  const bar = (x, y, sizeX, sizeY) => {
+    const mesh = new THREE.Mesh(unitBox, material);
+    mesh.position.set(x, y, 0);
+    mesh.scale.set(sizeX, sizeY, barThickness);
+    mesh.castShadow = true;
+    group.add(mesh);
+  };
+
+  const outerWidth = size.width + barThickness * 2;
+  const postX = size.width / 2 + barThickness / 2;
+  bar(0, size.height / 2 + barThickness / 2, outerWidth, barThickness);
+  bar(0, -size.height / 2 - barThickness / 2, outerWidth, barThickness);
+  bar(-postX, 0, barThickness, size.height);
+  bar(postX, 0, barThickness, size.height);
+
+  // Legs from the bottom bar down to the ground under each post
+  const bottom = gate.position.y - size.height / 2 - barThickness;
+  [-postX, postX].forEach(x => {
+    const ground = getGroundHeight(
+      gate.position.x + Math.cos(gate.yaw) * x,
+      gate.position.z - Math.sin(gate.yaw) * x
+    );
+    const length = bottom - ground;
+    if (length > 0) bar(x, -size.height / 2 - barThickness - length / 2, barThickness, length);
+  });
+
+  group.position.set(gate.position.x, gate.position.y, gate.position.z);
+  group.rotation.y = gate.yaw;
+
+  return group;
+}
+
+/**
+ * Sets up race mode
+ * @param {Object} scene - THREE.Scene the gates are added to
+ * @param {Object} options - { getGroundHeight(x, z): terrain height, for the gate legs }
+ * @returns {Object} Race controls
+ */
+function setupRace(scene, options) {
+  const materials = {
+    next:     new THREE.MeshStandardMaterial({ color: 0xE3F272, emissive: 0xE3F272, emissiveIntensity: 0.6 }),
+    upcoming: new THREE.MeshStandardMaterial({ color: 0xC1440E }),
+    passed:   new THREE.MeshStandardMaterial({ color: 0xC1440E, transparent: true, opacity: 0.35 })
+  };
+
+  const crossing = new THREE.Vector3();
+  const offset = new THREE.Vector3();
+
+  let course = null;
+  let layout = null;
+  let gates = [];
+  const records = loadRecords();
+
+  // 'ready' on the start pad, 'racing' once off the ground, 'finished' after the last lap
+  const race = { state: null, time: 0, lap: 0, gate: 0, lapStart: 0, lapTimes: [], splits: [], results: null };
+
+  function buildGate(gate, width, height) {
+    const group = createGateMesh(gate, { width: width, height: height }, options.getGroundHeight, materials.upcoming);
+
+    return {
+      mesh: group,
+      centre: group.position.clone(),
+      normal: new THREE.Vector3(Math.sin(gate.yaw), 0, Math.cos(gate.yaw)),
+      side: new THREE.Vector3(Math.cos(gate.yaw), 0, -Math.sin(gate.yaw)),
+      width: width,
+      height: height
+    };
+  }
+
+  function setGateMaterial(gate, material) {
+    gate.mesh.children.forEach(mesh => { mesh.material = material; });
+  }
+
+  function highlightGates() {
+    gates.forEach((gate, index) => {
+      let material = materials.upcoming;
+      if (race.state === 'finished' || index < race.gate) material = materials.passed;
+      else if (index === race.gate) material = materials.next;
+      setGateMaterial(gate, material);
+    });
+  }
+
+  // Whether the path from one position to the next crosses the gate opening, front to back
+  function passesThrough(gate, from, to) {
+    const before = offset.subVectors(from, gate.centre).dot(gate.normal);
+    const after = offset.subVectors(to, gate.centre).dot(gate.normal);
+    if (before >= 0 || after < 0) return false;
+
+    crossing.lerpVectors(from, to, before / (before - after)).sub(gate.centre);
+    return Math.abs(crossing.dot(gate.side)) <= gate.width / 2 && Math.abs(crossing.y) <= gate.height / 2;
+  }
+
+  function removeGates() {
+    gates.forEach(gate => scene.remove(gate.mesh));
+    gates = [];
+  }
+
+  function finish() {
+    const record = records[course.code] || {};
+    const bestLapIndex = race.lapTimes.indexOf(Math.min(...race.lapTimes));
+
+    race.results = {
+      total: race.time,
+      lapTimes: race.lapTimes.slice(),
+      bestLap: race.lapTimes[bestLapIndex],
+      previousTotal: record.total === undefined ? null : record.total,
+      previousLap: record.lap === undefined ? null : record.lap
+    };
+    race.results.newTotalRecord = record.total === undefined || race.time < record.total;
+    race.results.newLapRecord = record.lap === undefined || race.results.bestLap < record.lap;
+
+    records[course.code] = {
+      total: race.results.newTotalRecord ? race.time : record.total,
+      lap: race.results.newLapRecord ? race.results.bestLap : record.lap,
+      splits: race.results.newLapRecord ? race.splits[bestLapIndex] : record.splits
+    };
+    saveRecords(records);
+
+    race.state = 'finished';
+  }
+
+  return {
+    /**
+     * Builds a course and waits on the start pad
+     * @param {Object} details - Result of parseCourseCode, or any { code, laps }
+     * @param {Object} courseLayout - Result of generateCourse, or any { gates, start, width, height }
+     */
+    load: (details, courseLayout) => {
+      removeGates();
+      course = details;
+      layout = courseLayout;
+      gates = layout.gates.map(gate => buildGate(gate, layout.width, layout.height));
+      gates.forEach(gate => scene.add(gate.mesh));
+
+      Object.assign(race, { state: 'ready', time: 0, lap: 0, gate: 0, lapStart: 0, lapTimes: [], splits: [[]], results: null });
+      highlightGates();
+    },
+
+    // Takes the gates away and ends the race
+    clear: () => {
+      removeGates();
+      course = layout = null;
+      race.state = null;
+    },
+
+    // The clock starts when the drone leaves the start pad
+    launch: () => {
+      if (race.state === 'ready') race.state = 'racing';
+    },
+
+    /**
+     * Runs the clock and checks the next gate
+     * @param {Number} delta - Seconds since the previous frame
+     * @param {Object} from - Drone position at the previous frame (THREE.Vector3)
+     * @param {Object} to - Drone position now (THREE.Vector3)
+     * @returns {Object|null} { type: 'gate' | 'lap' | 'finish', time, split, difference } when a gate was passed
+     */
+    update: (delta, from, to) => {
+      if (race.state !== 'racing') return null;
+
+      race.time += delta;
+      if (!passesThrough(gates[race.gate], from, to)) return null;
+
+      // Split within the lap, compared with the same gate on the best lap
+      const split = race.time - race.lapStart;
+      const bestSplits = (records[course.code] || {}).splits;
+      const difference = bestSplits && bestSplits[race.gate] !== undefined ? split - bestSplits[race.gate] : null;
+      race.splits[race.lap].push(split);
+
+      let type = 'gate';
+      race.gate++;
+
+      // The last gate closes the loop and ends the lap
+      if (race.gate === gates.length) {
+        race.lapTimes.push(split);
+        race.lap++;
+        race.gate = 0;
+        race.lapStart = race.time;
+        type = 'lap';
+
+        if (race.lap === course.laps) {
+          finish();
+          type = 'finish';
+        }
+        else race.splits.push([]);
+      }
+
+      highlightGates();
+      return { type: type, time: race.time, split: split, difference: difference };
+    },
+
+    isActive: () => race.state !== null,
+
+    // The course being raced, to run it again
+    getCourse: () => course ? { details: course, layout: layout } : null,
+
+    /**
+     * Progress for the race HUD
+     * @returns {Object} { state, code, lap (from 1), laps, gate (from 1), gateCount, time, lapTime }
+     */
+    getStatus: () => ({
+      state: race.state,
+      code: course ? course.code : null,
+      lap: Math.min(race.lap + 1, course ? course.laps : 0),
+      laps: course ? course.laps : 0,
+      gate: race.gate + 1,
+      gateCount: gates.length,
+      time: race.time,
+      lapTime: race.time - race.lapStart
+    }),
+
+    /**
+     * Results once finished
+     * @returns {Object|null} { total, lapTimes, bestLap, previousTotal, previousLap, newTotalRecord, newLapRecord }
+     */
+    getResults: () => race.results,
+
+    getRecord: (code) => records[code] || null
+  };
+}
+
+/**
+ * Formats seconds as m:ss.cc for race times
+ * @param {Number} seconds - Time in seconds
+ * @returns {String} Formatted time
+ */
+function formatRaceTime(seconds) {
+  const hundredths = Math.round(seconds * 100);
+  const rest = ((hundredths % 6000) / 100).toFixed(2).padStart(5, '0');
+  return `${Math.floor(hundredths / 6000)}:${rest}`;
+}
+
+// Export functions
+export {
+  createGateMesh,
+  setupRace,
+  formatRaceTime
+};
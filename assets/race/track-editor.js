@@ -0,0 +1,285 @@
+/**
+ * Track Editor Functions
+ *
+ * This file keeps a hand-built track of gates, flags and obstacles. Items
+ * stand on hex centres, at a height above the column top, so a track only
+ * stores hex coordinates and is placed again on whatever terrain is shown;
+ * saved tracks carry the world seed and biome they were built on.
+ */
+
+import * as THREE from 'three';
+import { gateSize, getStartPad } from './race-course.js';
+import { createGateMesh } from './race-mode.js';
+
+const TRACK_VERSION = 1;
+
+/**
+ * Item types. Elevation is the default height above the column top, of the
+ * opening centre for gates and of the base for flags and obstacles.
+ */
+const trackItems = {
+  gate:     { label: 'Gate',     elevation: 4, minElevation: gateSize.height / 2 + 0.3 },
+  flag:     { label: 'Flag',     elevation: 0, minElevation: 0 },
+  obstacle: { label: 'Obstacle', elevation: 0, minElevation: 0 }
+};
+
+const editorTools = ['gate', 'flag', 'obstacle', 'select', 'delete'];
+
+const maxElevation = 40;
+const flagHeight = 5;
+const obstacleSize = { width: 2, height: 6 };
+
+/**
+ * Sets up the track editor
+ * @param {Object} scene - THREE.Scene the track is shown in
+ * @param {Object} options - {
+ *   getColumnTop(tileX, tileY): height of the hex column top,
+ *   tileToPosition(tileX, height, tileY): world position of a hex, as used for the terrain,
+ *   getGroundHeight(x, z): terrain height at a world position
+ * }
+ * @returns {Object} Track editor controls
+ */
+function setupTrackEditor(scene, options) {
+  const materials = {
+    gate:     new THREE.MeshStandardMaterial({ color: 0xC1440E }),
+    pole:     new THREE.MeshStandardMaterial({ color: 0xE5E5E5 }),
+    flag:     new THREE.MeshStandardMaterial({ color: 0xE3F272, side: THREE.DoubleSide }),
+    obstacle: new THREE.MeshStandardMaterial({ color: 0x2A2D10 })
+  };
+  const geometries = {
+    pole:     new THREE.CylinderGeometry(0.08, 0.08, flagHeight, 8),
+    flag:     new THREE.PlaneGeometry(1.6, 1),
+    obstacle: new THREE.BoxGeometry(obstacleSize.width, obstacleSize.height, obstacleSize.width)
+  };
+
+  const group = new THREE.Group();
+  const selectionBox = new THREE.BoxHelper(undefined, 0xE3F272);
+  selectionBox.visible = false;
+  scene.add(group, selectionBox);
+
+  const items = [];
+  let tool = 'gate';
+  let selected = null;
+  let gatesVisible = true;
+  let obstacleBoxes = [];
+
+  // World position of an item, on its hex centre
+  function getPosition(item) {
+    const top = options.getColumnTop(item.tile.x, item.tile.y);
+    const hex = options.tileToPosition(item.tile.x, top, item.tile.y);
+    return new THREE.Vector3(hex.x, top + item.elevation, hex.z);
+  }
+
+  function buildMesh(item) {
+    const position = getPosition(item);
+    let mesh;
+
+    if (item.type === 'gate') {
+      mesh = createGateMesh({ position: position, yaw: item.yaw }, gateSize, options.getGroundHeight, materials.gate);
+      mesh.visible = gatesVisible;
+    }
+    else {
+      mesh = new THREE.Group();
+      mesh.position.copy(position);
+      mesh.rotation.y = item.yaw;
+
+      if (item.type === 'flag') {
+        const pole = new THREE.Mesh(geometries.pole, materials.pole);
+        const flag = new THREE.Mesh(geometries.flag, materials.flag);
+        pole.position.y = flagHeight / 2;
+        flag.position.set(0.8, flagHeight - 0.5, 0);
+        mesh.add(pole, flag);
+      }
+      else {
+        const block = new THREE.Mesh(geometries.obstacle, materials.obstacle);
+        block.position.y = obstacleSize.height / 2;
+        block.castShadow = true;
+        mesh.add(block);
+      }
+    }
+
+    mesh.userData.trackItem = item;
+    return mesh;
+  }
+
+  // Replace the item's mesh after a change
+  function rebuild(item) {
+    if (item.mesh) group.remove(item.mesh);
+    item.mesh = buildMesh(item);
+    group.add(item.mesh);
+  }
+
+  // World bounds of the obstacles, for collisions
+  function updateObstacleBoxes() {
+    obstacleBoxes = items
+      .filter(item => item.type === 'obstacle')
+      .map(item => new THREE.Box3().setFromObject(item.mesh));
+  }
+
+  function updateSelection() {
+    selectionBox.visible = !!selected && selected.mesh.visible;
+    if (selected) selectionBox.setFromObject(selected.mesh);
+  }
+
+  function select(item) {
+    selected = item;
+    updateSelection();
+  }
+
+  function addItem(type, tile, values = {}) {
+    const item = {
+      type: type,
+      tile: { x: tile.x, y: tile.y },
+      elevation: values.elevation === undefined ? trackItems[type].elevation : values.elevation,
+      yaw: values.yaw || 0
+    };
+    items.push(item);
+    rebuild(item);
+    return item;
+  }
+
+  function removeItem(item) {
+    group.remove(item.mesh);
+    items.splice(items.indexOf(item), 1);
+    if (selected === item) select(null);
+  }
+
+  function changed() {
+    updateObstacleBoxes();
+    updateSelection();
+  }
+
+  return {
+    getTool: () => tool,
+
+    setTool: (name) => {
+      if (editorTools.includes(name)) tool = name;
+    },
+
+    /**
+     * The item under the pointer
+     * @param {Object} raycaster - THREE.Raycaster set from the camera
+     * @returns {Object|null} Track item
+     */
+    pick: (raycaster) => {
+      const itemOf = (object) => object.userData.trackItem || itemOf(object.parent);
+      const hit = raycaster.intersectObject(group, true).find(intersect => itemOf(intersect.object).mesh.visible);
+
+      return hit ? itemOf(hit.object) : null;
+    },
+
+    /**
+     * Uses the current tool on a clicked item or hex
+     * @param {Object|null} tile - Hex { x, y } under the pointer
+     * @param {Object|null} item - Track item under the pointer, from pick
+     */
+    apply: (tile, item) => {
+      if (tool === 'delete') {
+        if (item) removeItem(item);
+      }
+      // Clicking an item selects it, clicking a hex with the select tool moves the selection there
+      else if (item) select(item);
+      else if (tile && tool === 'select') {
+        if (!selected) return;
+        selected.tile = { x: tile.x, y: tile.y };
+        rebuild(selected);
+      }
+      else if (tile) select(addItem(tool, tile));
+
+      changed();
+    },
+
+    getSelected: () => selected,
+
+    // Turn the selected item about its vertical axis, in radians
+    rotateSelected: (angle) => {
+      if (!selected) return;
+      selected.yaw = (selected.yaw + angle) % (Math.PI * 2);
+      rebuild(selected);
+      changed();
+    },
+
+    // Raise or lower the selected item, in metres
+    raiseSelected: (amount) => {
+      if (!selected) return;
+      selected.elevation = THREE.MathUtils.clamp(selected.elevation + amount, trackItems[selected.type].minElevation, maxElevation);
+      rebuild(selected);
+      changed();
+    },
+
+    clear: () => {
+      items.slice().forEach(removeItem);
+      changed();
+    },
+
+    // Place every item again, after the terrain under the track has changed
+    refresh: () => {
+      items.forEach(rebuild);
+      changed();
+    },
+
+    // Hide the track's own gates while a race draws them
+    setGatesVisible: (visible) => {
+      gatesVisible = visible;
+      items.forEach(item => {
+        if (item.type === 'gate') item.mesh.visible = visible;
+      });
+      updateSelection();
+    },
+
+    getItemCount: () => items.length,
+
+    // Middle of the track, null when it is empty
+    getCentre: () => items.length ? new THREE.Box3().setFromObject(group).getCenter(new THREE.Vector3()) : null,
+
+    getObstacleBoxes: () => obstacleBoxes,
+
+    /**
+     * The gates as a race layout, raced in the order they were placed
+     * @returns {Object|null} { gates, start, width, height }, null with fewer than two gates
+     */
+    getLayout: () => {
+      const gates = items
+        .filter(item => item.type === 'gate')
+        .map(item => ({ position: getPosition(item), yaw: item.yaw }));
+      if (gates.length < 2) return null;
+
+      return { gates: gates, start: getStartPad(gates[0]), width: gateSize.width, height: gateSize.height };
+    },
+
+    /**
+     * The track as plain data, ready for JSON.stringify
+     * @param {Object} details - { name, worldSeed, biome } saved with the track
+     * @returns {Object} Track data
+     */
+    exportTrack: (details) => Object.assign({ version: TRACK_VERSION }, details, {
+      items: items.map(item => ({ type: item.type, tile: item.tile, elevation: item.elevation, yaw: item.yaw }))
+    }),
+
+    /**
+     * Replaces the track with saved data
+     * @param {Object} data - Result of exportTrack, e.g. parsed from a file
+     */
+    importTrack: (data) => {
+      if (!data || data.version !== TRACK_VERSION || !Array.isArray(data.items))
+        throw new Error('Unsupported track');
+
+      const valid = data.items.filter(item => trackItems[item.type] && item.tile &&
+        Number.isInteger(item.tile.x) && Number.isInteger(item.tile.y));
+
+      items.slice().forEach(removeItem);
+      valid.forEach(item => addItem(item.type, item.tile, {
+        elevation: THREE.MathUtils.clamp(Number(item.elevation) || 0, trackItems[item.type].minElevation, maxElevation),
+        yaw: Number(item.yaw) || 0
+      }));
+      changed();
+    }
+  };
+}
+
+// Export functions
+export {
+  trackItems,
+  editorTools,
+  setupTrackEditor
+};
@@ -0,0 +1,228 @@
+/**
+ * Flight Recorder Functions
+ *
+ * This file records the drone state every frame into a packed Float32Array
+ * and plays recordings back with pause, speed control and scrubbing.
+ * Recordings carry the world seed and biome, so replaying one regenerates
+ * the same terrain it was flown over.
+ */
+
+const RECORDING_VERSION = 1;
+
+/**
+ * Values stored per frame, in buffer order
+ */
+const frameFields = [
+  'time',
+  'x', 'y', 'z',
+  'qx', 'qy', 'qz', 'qw',
+  'throttle', 'yaw', 'pitch', 'roll',
+  'motor0', 'motor1', 'motor2', 'motor3',
+  'camera'
+];
+
+const FRAME_SIZE = frameFields.length;
+
+/**
+ * Helper function to encode a Float32Array as base64, exact and far smaller than a number list
+ */
+function encodeFrames(frames) {
+  const bytes = new Uint8Array(frames.buffer, frames.byteOffset, frames.byteLength);
+  let binary = '';
+
+  for (let i = 0; i < bytes.length; i += 0x8000)
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+
+  return btoa(binary);
+}
+
+function decodeFrames(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+
+  return new Float32Array(bytes.buffer);
+}
+
+/**
+ * Sets up a recorder that packs frames into a growing buffer
+ * @returns {Object} Recorder controls
+ */
+function setupFlightRecorder() {
+  let frames = new Float32Array(FRAME_SIZE * 1024);
+  let frameCount = 0;
+  let meta = null;
+  let recording = false;
+  let startTime = 0;
+
+  return {
+    /**
+     * Starts a new recording, dropping the previous one
+     * @param {Object} details - { seed, biome, cameraRigs } saved with the recording
+     */
+    start: (details) => {
+      frameCount = 0;
+      meta = Object.assign({ recordedAt: new Date().toISOString() }, details);
+      recording = true;
+    },
+
+    stop: () => {
+      recording = false;
+    },
+
+    isRecording: () => recording,
+
+    hasRecording: () => frameCount > 1,
+
+    /**
+     * Adds a frame
+     * @param {Object} frame - One value for every name in frameFields, time in seconds
+     */
+    record: (frame) => {
+      if (!recording) return;
+
+      // Double the buffer when it is full rather than growing it every frame
+      if ((frameCount + 1) * FRAME_SIZE > frames.length) {
+        const grown = new Float32Array(frames.length * 2);
+        grown.set(frames);
+        frames = grown;
+      }
+
+      // Times are kept from the first frame, a long session would outrun float precision
+      if (!frameCount) startTime = frame.time;
+
+      const offset = frameCount * FRAME_SIZE;
+      frameFields.forEach((field, index) => {
+        frames[offset + index] = field === 'time' ? frame.time - startTime : frame[field];
+      });
+      frameCount++;
+    },
+
+    /**
+     * The recording as plain data, ready for JSON.stringify
+     * @returns {Object} { version, fields, frameCount, frames (base64), ...details }
+     */
+    exportRecording: () => Object.assign({}, meta, {
+      version: RECORDING_VERSION,
+      fields: frameFields,
+      frameCount: frameCount,
+      frames: encodeFrames(frames.subarray(0, frameCount * FRAME_SIZE))
+    })
+  };
+}
+
+/**
+ * Sets up playback of an exported recording
+ * @param {Object} recording - Result of exportRecording, e.g. parsed from a file
+ * @returns {Object} Replay controls
+ */
+function createReplay(recording) {
+  if (!recording || recording.version !== RECORDING_VERSION || recording.fields.join() !== frameFields.join())
+    throw new Error('Unsupported flight recording');
+
+  const frames = decodeFrames(recording.frames);
+  const frameCount = Math.min(recording.frameCount, frames.length / FRAME_SIZE);
+  if (frameCount < 2) throw new Error('Flight recording has no frames');
+
+  const startTime = frames[0];
+  const duration = frames[(frameCount - 1) * FRAME_SIZE] - startTime;
+  const details = { seed: recording.seed, biome: recording.biome, cameraRigs: recording.cameraRigs || [] };
+  const frame = {};
+
+  let time = 0;
+  let speed = 1;
+  let playing = true;
+  let index = 0; // Frame at or before the current time
+
+  function read(field, frameIndex) {
+    return frames[frameIndex * FRAME_SIZE + frameFields.indexOf(field)];
+  }
+
+  // Walk to the frame pair around the current time, usually only a step from the last one
+  function findFrame() {
+    const target = time + startTime;
+    while (index > 0 && read('time', index) > target) index--;
+    while (index < frameCount - 2 && read('time', index + 1) <= target) index++;
+  }
+
+  return {
+    /**
+     * Advances playback
+     * @param {Number} delta - Seconds since the previous frame
+     */
+    update: (delta) => {
+      if (!playing) return;
+
+      time = Math.min(time + delta * speed, duration);
+      if (time === duration) playing = false;
+    },
+
+    /**
+     * The frame at the current time, interpolated between recorded frames
+     * @returns {Object} Values named as in frameFields; camera is the rig of the earlier frame
+     */
+    getFrame: () => {
+      findFrame();
+
+      const t0 = read('time', index);
+      const t1 = read('time', index + 1);
+      const blend = t1 > t0 ? Math.min(Math.max((time + startTime - t0) / (t1 - t0), 0), 1) : 0;
+
+      frameFields.forEach(field => {
+        const from = read(field, index);
+        frame[field] = field === 'camera' ? from : from + (read(field, index + 1) - from) * blend;
+      });
+
+      return frame;
+    },
+
+    // Velocity between the recorded frames around the current time, as { x, y, z } per second
+    getVelocity: () => {
+      findFrame();
+
+      const span = read('time', index + 1) - read('time', index);
+      if (!span) return { x: 0, y: 0, z: 0 };
+
+      return {
+        x: (read('x', index + 1) - read('x', index)) / span,
+        y: (read('y', index + 1) - read('y', index)) / span,
+        z: (read('z', index + 1) - read('z', index)) / span
+      };
+    },
+
+    play: () => {
+      if (time === duration) time = 0;
+      playing = true;
+    },
+
+    pause: () => {
+      playing = false;
+    },
+
+    isPlaying: () => playing,
+
+    setSpeed: (value) => {
+      speed = value;
+    },
+
+    // Jump to a time in seconds from the start
+    seek: (value) => {
+      time = Math.min(Math.max(value, 0), duration);
+    },
+
+    getTime: () => time,
+
+    getDuration: () => duration,
+
+    // The world and camera rig names the flight was recorded with
+    getDetails: () => details
+  };
+}
+
+// Export functions
+export {
+  frameFields,
+  setupFlightRecorder,
+  createReplay
+};
@@ -0,0 +1,232 @@
+/**
+ * Graphics Quality Functions
+ *
+ * This file picks how much the renderer draws. Presets fix the pixel ratio,
+ * fog distances, tile size and view radius; in auto mode a frame-time monitor
+ * lowers the pixel ratio, fog and view radius from the pilot's settings when
+ * the frame rate falls below the target and raises them again once it holds.
+ * Tile size is never changed while flying, a new one rebuilds the terrain.
+ *
+ * The GPU tier comes from detect-gpu, which downloads its benchmarks. When
+ * that is slow or offline the tier is estimated from the WebGL renderer name.
+ */
+
+import { getGPUTier } from 'https://cdn.jsdelivr.net/npm/detect-gpu@5.0.17/+esm';
+
+const qualityModes = { auto: 'Auto', low: 'Low', medium: 'Medium', high: 'High', ultra: 'Ultra' };
+
+/**
+ * Presets, the pixel ratio being capped by the screen's own
+ */
+const qualityPresets = {
+  low:    { pixelRatio: 0.75, fogNear: 20,  fogFar: 72,  tileSize: 15, viewRadius: 1 },
+  medium: { pixelRatio: 1,    fogNear: 60,  fogFar: 100, tileSize: 25, viewRadius: 1 },
+  high:   { pixelRatio: 1.5,  fogNear: 90,  fogFar: 160, tileSize: 30, viewRadius: 2 },
+  ultra:  { pixelRatio: 2,    fogNear: 130, fogFar: 240, tileSize: 35, viewRadius: 3 }
+};
+
+// Preset for each detect-gpu tier, 0 being a blocklisted or missing GPU
+const tierPresets = ['low', 'low', 'medium', 'high'];
+
+// How long detect-gpu gets before the tier is estimated instead
+const detectTimeout = 4000; // ms
+
+// Steps the monitor takes and the lowest values it goes to
+const limits = {
+  pixelRatio: { step: 0.25, min: 0.5 },
+  fogScale:   { step: 0.1,  min: 0.6 },
+  viewRadius: { step: 1,    min: 1 }
+};
+
+// Frame rates are averaged over a window, frames longer than a hitch are left out
+const windowLength = 2;       // s
+const hitchLength = 0.25;     // s
+const upDelay = { base: 6, max: 60 }; // s of a steady frame rate before drawing more
+
+/**
+ * Preset for a GPU tier
+ * @param {Number} tier - GPU tier, 0-3
+ * @returns {String} Preset name
+ */
+function getTierPreset(tier) {
+  return tierPresets[tier] || tierPresets[1];
+}
+
+/**
+ * Helper function to guess the tier from the renderer name, without the network
+ */
+function estimateTier() {
+  const gl = document.createElement('canvas').getContext('webgl');
+  if (!gl) return { tier: 0, gpu: null };
+
+  const info = gl.getExtension('WEBGL_debug_renderer_info');
+  const gpu = gl.getParameter(info ? info.UNMASKED_RENDERER_WEBGL : gl.RENDERER);
+  const lose = gl.getExtension('WEBGL_lose_context');
+  if (lose) lose.loseContext();
+
+  // Software renderers struggle with anything, dedicated GPUs and Apple silicon cope with more
+  if (/swiftshader|llvmpipe|software|basic render/i.test(gpu)) return { tier: 0, gpu: gpu };
+  if (/nvidia|geforce|quadro|radeon (rx|pro)|apple m\d/i.test(gpu)) return { tier: 2, gpu: gpu };
+  return { tier: 1, gpu: gpu };
+}
+
+/**
+ * Finds the GPU tier
+ * @returns {Promise<Object>} { tier: 0-3, gpu: renderer name or null, estimated: true without benchmarks }
+ */
+async function detectGpu() {
+  try {
+    const result = await Promise.race([
+      getGPUTier(),
+      new Promise((resolve, reject) => setTimeout(() => reject(new Error('GPU detection timed out')), detectTimeout))
+    ]);
+
+    // detect-gpu falls back to tier 1 when its benchmarks cannot be fetched or the GPU is not in them
+    if (result.type !== 'FALLBACK') return { tier: result.tier, gpu: result.gpu || null, estimated: false };
+  } catch (error) {
+    console.warn('Could not detect the GPU', error);
+  }
+
+  return Object.assign(estimateTier(), { estimated: true });
+}
+
+/**
+ * Sets up the frame-time monitor
+ * @param {Object} options - {
+ *   targetFps: frame rate to hold,
+ *   ceiling: { pixelRatio, fogNear, fogFar, viewRadius } the most it draws,
+ *   onChange(levels): called with getLevels() after every step
+ * }
+ * @returns {Object} Monitor controls
+ */
+function setupQualityMonitor(options) {
+  const ceiling = Object.assign({}, options.ceiling);
+  const levels = {};
+
+  let targetFps = options.targetFps;
+  let enabled = true;
+  let time = 0;
+  let frames = 0;
+  let frameTime = 0;
+  let nextUp = 0;
+  let lastUp = -Infinity;
+  let wait = upDelay.base;
+
+  function getLevels() {
+    return {
+      pixelRatio: levels.pixelRatio,
+      fogNear: Math.round(ceiling.fogNear * levels.fogScale),
+      fogFar: Math.round(ceiling.fogFar * levels.fogScale),
+      viewRadius: levels.viewRadius
+    };
+  }
+
+  function restart() {
+    frames = frameTime = 0;
+  }
+
+  // Back to drawing everything the ceiling allows
+  function restore() {
+    Object.assign(levels, { pixelRatio: ceiling.pixelRatio, fogScale: 1, viewRadius: ceiling.viewRadius });
+    wait = upDelay.base;
+    restart();
+  }
+
+  // Pixels go first, they are the cheapest to change, then the fog and the outer ring of tiles
+  function stepDown() {
+    if (levels.pixelRatio > limits.pixelRatio.min)
+      levels.pixelRatio = Math.max(levels.pixelRatio - limits.pixelRatio.step, limits.pixelRatio.min);
+    else if (levels.fogScale > limits.fogScale.min)
+      levels.fogScale = Math.max(Number((levels.fogScale - limits.fogScale.step).toFixed(2)), limits.fogScale.min);
+    else if (levels.viewRadius > limits.viewRadius.min)
+      levels.viewRadius -= limits.viewRadius.step;
+    else return false;
+
+    return true;
+  }
+
+  // Back up in the opposite order, what was given up last returns first
+  function stepUp() {
+    if (levels.viewRadius < ceiling.viewRadius)
+      levels.viewRadius += limits.viewRadius.step;
+    else if (levels.fogScale < 1)
+      levels.fogScale = Math.min(Number((levels.fogScale + limits.fogScale.step).toFixed(2)), 1);
+    else if (levels.pixelRatio < ceiling.pixelRatio)
+      levels.pixelRatio = Math.min(levels.pixelRatio + limits.pixelRatio.step, ceiling.pixelRatio);
+    else return false;
+
+    return true;
+  }
+
+  function evaluate() {
+    const fps = frames / frameTime;
+
+    if (fps < targetFps * 0.9) {
+      // Dropping straight after drawing more means that level is too much, so wait longer before trying it again
+      if (time - lastUp < windowLength * 2) wait = Math.min(wait * 2, upDelay.max);
+      nextUp = time + wait;
+      if (stepDown()) options.onChange(getLevels());
+    }
+    else if (fps >= targetFps * 0.97 && time >= nextUp && stepUp()) {
+      lastUp = time;
+      nextUp = time + wait;
+      options.onChange(getLevels());
+    }
+  }
+
+  restore();
+
+  return {
+    /**
+     * Counts a frame, call once per rendered frame
+     * @param {Number} delta - Seconds since the previous frame
+     */
+    update: (delta) => {
+      if (!enabled) return;
+
+      time += delta;
+      if (delta > hitchLength) return;
+
+      frames++;
+      frameTime += delta;
+      if (frameTime < windowLength) return;
+
+      evaluate();
+      restart();
+    },
+
+    getLevels: getLevels,
+
+    /**
+     * Changes the most that is drawn, starting again from there
+     * @param {Object} values - { pixelRatio, fogNear, fogFar, viewRadius }
+     */
+    setCeiling: (values) => {
+      Object.assign(ceiling, values);
+      restore();
+    },
+
+    setTarget: (fps) => {
+      targetFps = fps;
+      wait = upDelay.base;
+      restart();
+    },
+
+    // Off, getLevels is the ceiling, e.g. while a preset is locked
+    setEnabled: (value) => {
+      enabled = value;
+      restore();
+    },
+
+    isEnabled: () => enabled
+  };
+}
+
+// Export functions
+export {
+  qualityModes,
+  qualityPresets,
+  getTierPreset,
+  detectGpu,
+  setupQualityMonitor
+};
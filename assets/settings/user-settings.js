@@ -0,0 +1,164 @@
+/**
+ * User Settings Functions
+ *
+ * This file keeps the pilot's graphics, sound, control and camera settings.
+ * Graphics defaults depend on the GPU tier, so slower machines start with
+ * less to draw; anything the pilot changes is saved in the browser on top of
+ * those defaults, and a reset goes back to them.
+ */
+
+import { qualityModes, qualityPresets, getTierPreset } from './graphics-quality.js';
+
+const STORAGE_KEY = 'quad-tok-settings';
+
+/**
+ * Every setting with its range, in the units shown next to it in the
+ * settings panel, or its options by value and label. Group is the panel
+ * section it belongs to.
+ */
+const settingFields = {
+  quality:        { group: 'graphics', options: qualityModes },
+  targetFps:      { group: 'graphics', min: 30,  max: 120, step: 5,   unit: ' fps' },
+  fogNear:        { group: 'graphics', min: 10,  max: 150, step: 5,   unit: ' m' },
+  fogFar:         { group: 'graphics', min: 40,  max: 250, step: 5,   unit: ' m' },
+  tileSize:       { group: 'graphics', min: 10,  max: 40,  step: 5,   unit: ' hexes' },
+  viewRadius:     { group: 'graphics', min: 1,   max: 4,   step: 1,   unit: ' tiles' },
+  musicVolume:    { group: 'sound',    min: 0,   max: 100, step: 1,   unit: '%' },
+  droneVolume:    { group: 'sound',    min: 0,   max: 100, step: 1,   unit: '%' },
+  turnRate:       { group: 'controls', min: 10,  max: 100, step: 5,   unit: '%' },
+  chaseHeight:    { group: 'camera',   min: 1,   max: 20,  step: 0.5, unit: ' m' },
+  chaseDistance:  { group: 'camera',   min: 3,   max: 30,  step: 0.5, unit: ' m' },
+  topDownHeight:  { group: 'camera',   min: 20,  max: 150, step: 5,   unit: ' m' }
+};
+
+// Fog always ends this far past where it starts
+const minFogDepth = 20;
+
+// Settings a quality preset brings with it
+const presetSettings = ['fogNear', 'fogFar', 'tileSize', 'viewRadius'];
+
+/**
+ * Default settings. Fog distances, tile size (hexes from the centre of a tile
+ * to its edge) and view radius (rings of tiles around the one below the
+ * drone) come from the preset for the GPU tier.
+ */
+const defaultSettings = {
+  quality: 'auto',    // a preset name locks the graphics, auto lowers them to hold the target frame rate
+  targetFps: 60,
+  musicVolume: 20,
+  droneVolume: 50,
+  turnRate: 50,       // share of the flight controller's yaw rate at full stick, doubled in speed mode
+  chaseHeight: 7,
+  chaseDistance: 10,
+  topDownHeight: 60
+};
+
+/**
+ * Default settings for a GPU
+ * @param {Number} tier - GPU tier from detect-gpu, 0-3
+ * @returns {Object} Settings
+ */
+function getDefaultSettings(tier) {
+  const settings = Object.assign({}, defaultSettings);
+  const preset = qualityPresets[getTierPreset(tier)];
+
+  presetSettings.forEach(name => { settings[name] = preset[name]; });
+  return settings;
+}
+
+/**
+ * Helper function to fit a value to its field, snapped to the step or one of its options
+ */
+function fitToField(name, value) {
+  const field = settingFields[name];
+  if (field.options) {
+    const values = Object.keys(field.options);
+    return values.includes(value) ? value : values[0];
+  }
+
+  const stepped = Math.round((Number(value) - field.min) / field.step) * field.step + field.min;
+  return Math.min(Math.max(Number(stepped.toFixed(2)), field.min), field.max);
+}
+
+/**
+ * Sets up the settings, loading saved values over the defaults
+ * @param {Object} defaults - Result of getDefaultSettings
+ * @returns {Object} Settings controls
+ */
+function setupUserSettings(defaults) {
+  let saved = {};
+
+  try {
+    saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('Could not read settings', error);
+  }
+
+  // Only the values the pilot changed are saved, so better defaults in a later version still apply
+  const settings = Object.assign({}, defaults);
+  Object.keys(saved).forEach(name => {
+    if (settingFields[name] && (settingFields[name].options || isFinite(saved[name]))) settings[name] = fitToField(name, saved[name]);
+  });
+
+  function save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    } catch (error) {
+      console.warn('Could not save settings', error);
+    }
+  }
+
+  return {
+    get: (name) => settings[name],
+
+    getAll: () => Object.assign({}, settings),
+
+    /**
+     * Changes a setting and saves it
+     * @param {String} name - Setting name, see settingFields
+     * @param {Number|String} value - New value, fitted to the setting's range or options
+     * @returns {Array} Names of the settings that changed, fog distances move each other along
+     * and a preset brings its own fog distances, tile size and view radius
+     */
+    set: (name, value) => {
+      if (!settingFields[name]) return [];
+
+      settings[name] = saved[name] = fitToField(name, value);
+      const changed = [name];
+
+      const preset = name === 'quality' && qualityPresets[settings.quality];
+      if (preset) {
+        presetSettings.forEach(presetName => {
+          settings[presetName] = saved[presetName] = preset[presetName];
+          changed.push(presetName);
+        });
+      }
+
+      if (name === 'fogNear' && settings.fogFar < settings.fogNear + minFogDepth) {
+        settings.fogFar = saved.fogFar = fitToField('fogFar', settings.fogNear + minFogDepth);
+        changed.push('fogFar');
+      }
+      if (name === 'fogFar' && settings.fogNear > settings.fogFar - minFogDepth) {
+        settings.fogNear = saved.fogNear = fitToField('fogNear', settings.fogFar - minFogDepth);
+        changed.push('fogNear');
+      }
+
+      save();
+      return changed;
+    },
+
+    // Back to the defaults, forgetting every saved value
+    reset: () => {
+      saved = {};
+      Object.assign(settings, defaults);
+      save();
+    }
+  };
+}
+
+// Export functions
+export {
+  settingFields,
+  getDefaultSettings,
+  setupUserSettings
+};
@@ -0,0 +1,181 @@
+/**
+ * Drone Audio Functions
+ *
+ * This file synthesises the drone with the Web Audio API: a motor whine that
+ * follows the propeller speed, wind noise that grows with airspeed, and the
+ * thumps of landings and crashes. Nothing is loaded, every sound is built
+ * from oscillators and a noise buffer.
+ *
+ * Browsers only let audio start from a user gesture, so the audio context
+ * is created by the first call to resume.
+ */
+
+const SPEED_OF_SOUND = 343; // m/s
+
+// Motor pitch in Hz against the propeller speed of setupPropellerAnimation (rad per frame)
+const motorPitch = { base: 70, perSpeed: 620 };
+
+// Airspeed in m/s at which the wind noise is at its loudest
+const loudestAirspeed = 30;
+
+/**
+ * Helper function to fill a buffer with white noise, shared by the wind and the crash
+ */
+function createNoiseBuffer(context, seconds) {
+  const buffer = context.createBuffer(1, context.sampleRate * seconds, context.sampleRate);
+  const data = buffer.getChannelData(0);
+
+  for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+
+  return buffer;
+}
+
+/**
+ * Sets up the drone sound
+ * @param {Object} options - { volume: 0-1 }
+ * @returns {Object} Audio controls
+ */
+function setupDroneAudio(options = {}) {
+  let volume = options.volume === undefined ? 0.5 : options.volume;
+  let muted = false;
+  let context = null;
+  let nodes = null;
+
+  // The graph: two detuned saws and a square an octave up through a lowpass for the motors,
+  // filtered noise for the wind, all into one gain for the volume control
+  function build() {
+    context = new (window.AudioContext || window.webkitAudioContext)();
+    const noise = createNoiseBuffer(context, 2);
+
+    const master = context.createGain();
+    master.gain.value = muted ? 0 : volume;
+    master.connect(context.destination);
+
+    const motorFilter = context.createBiquadFilter();
+    motorFilter.type = 'lowpass';
+    motorFilter.Q.value = 4;
+    const motorGain = context.createGain();
+    motorGain.gain.value = 0;
+    motorFilter.connect(motorGain).connect(master);
+
+    const motors = [
+      { type: 'sawtooth', ratio: 1, detune: -8, level: 0.35 },
+      { type: 'sawtooth', ratio: 1, detune: 8, level: 0.35 },
+      { type: 'square', ratio: 2, detune: 0, level: 0.08 }
+    ].map(voice => {
+      const oscillator = context.createOscillator();
+      const level = context.createGain();
+      oscillator.type = voice.type;
+      oscillator.detune.value = voice.detune;
+      level.gain.value = voice.level;
+      oscillator.connect(level).connect(motorFilter);
+      oscillator.start();
+      return { oscillator: oscillator, ratio: voice.ratio };
+    });
+
+    const windSource = context.createBufferSource();
+    windSource.buffer = noise;
+    windSource.loop = true;
+    const windFilter = context.createBiquadFilter();
+    windFilter.type = 'bandpass';
+    windFilter.Q.value = 0.7;
+    const windGain = context.createGain();
+    windGain.gain.value = 0;
+    windSource.connect(windFilter).connect(windGain).connect(master);
+    windSource.start();
+
+    nodes = { noise, master, motorFilter, motorGain, motors, windFilter, windGain };
+  }
+
+  // A short burst: noise through a closing lowpass and a sine dropping in pitch
+  function thump(strength, length, pitch) {
+    if (!nodes || context.state !== 'running') return;
+
+    const now = context.currentTime;
+    const envelope = context.createGain();
+    envelope.gain.setValueAtTime(strength, now);
+    envelope.gain.exponentialRampToValueAtTime(0.001, now + length);
+    envelope.connect(nodes.master);
+
+    const burst = context.createBufferSource();
+    const filter = context.createBiquadFilter();
+    burst.buffer = nodes.noise;
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(pitch * 20, now);
+    filter.frequency.exponentialRampToValueAtTime(pitch * 2, now + length);
+    burst.connect(filter).connect(envelope);
+    burst.start(now, Math.random());
+    burst.stop(now + length);
+
+    const body = context.createOscillator();
+    body.frequency.setValueAtTime(pitch, now);
+    body.frequency.exponentialRampToValueAtTime(pitch / 3, now + length);
+    body.connect(envelope);
+    body.start(now);
+    body.stop(now + length);
+  }
+
+  return {
+    // Creates or wakes the audio context, call from a click or key press
+    resume: () => {
+      if (!nodes) build();
+      if (context.state === 'suspended') context.resume();
+    },
+
+    /**
+     * Follows the drone, call once per frame
+     * @param {Object} sound - {
+     *   propellerSpeed: average propeller speed, 0 when stopped,
+     *   airspeed: m/s through the air,
+     *   distance: m from the listener, 0 when riding on the drone,
+     *   approachSpeed: m/s the drone closes on the listener, for the Doppler shift
+     * }
+     */
+    update: (sound) => {
+      if (!nodes) return;
+
+      const now = context.currentTime;
+      const doppler = SPEED_OF_SOUND / Math.max(SPEED_OF_SOUND - sound.approachSpeed, SPEED_OF_SOUND / 2);
+      const pitch = (motorPitch.base + sound.propellerSpeed * motorPitch.perSpeed) * doppler;
+      const falloff = 1 / (1 + sound.distance / 15);
+
+      // Higher revs open the filter, so the whine gets brighter as well as higher
+      nodes.motors.forEach(motor => motor.oscillator.frequency.setTargetAtTime(pitch * motor.ratio, now, 0.03));
+      nodes.motorFilter.frequency.setTargetAtTime(pitch * (2 + sound.propellerSpeed * 6), now, 0.05);
+      nodes.motorGain.gain.setTargetAtTime(sound.propellerSpeed > 0 ? (0.25 + sound.propellerSpeed * 0.35) * falloff : 0, now, 0.08);
+
+      // Wind rushes past the drone, heard loudest on board
+      const rush = Math.min(sound.airspeed / loudestAirspeed, 1);
+      nodes.windFilter.frequency.setTargetAtTime(300 + rush * 1500, now, 0.1);
+      nodes.windGain.gain.setTargetAtTime(rush * rush * 0.6 * (sound.distance ? falloff : 1), now, 0.1);
+    },
+
+    // Impact of a crash, louder for faster impacts in m/s
+    crash: (impactSpeed) => {
+      thump(Math.min(0.4 + impactSpeed / 10, 1.5), 0.9, 70);
+    },
+
+    // Touchdown on a hex, from the landing speed in m/s
+    land: (speed) => {
+      thump(0.15 + Math.min(speed, 2) * 0.15, 0.25, 110);
+    },
+
+    // Volume from 0 to 1
+    setVolume: (value) => {
+      volume = value;
+      if (nodes) nodes.master.gain.setTargetAtTime(muted ? 0 : volume, context.currentTime, 0.05);
+    },
+
+    getVolume: () => volume,
+
+    setMuted: (value) => {
+      muted = value;
+      if (nodes) nodes.master.gain.setTargetAtTime(muted ? 0 : volume, context.currentTime, 0.05);
+    }
+  };
+}
+
+// Export functions
+export {
+  setupDroneAudio
+};
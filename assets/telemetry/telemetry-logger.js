@@ -0,0 +1,149 @@
+/**
+ * Telemetry Logger Functions
+ *
+ * This file logs sticks, attitude, rates, altitude, speed, motors and battery
+ * at a fixed rate, like a flight controller's blackbox, and writes the log as
+ * CSV with Betaflight-style column names and units.
+ */
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+// Samples per second
+const logRates = [10, 25, 50, 100];
+
+// Betaflight's ANGLE_MODE, HORIZON_MODE and ALT_HOLD_MODE bits, Acro sets none
+const modeFlags = {
+  angle: 1,
+  horizon: 2,
+  climbRate: 8
+};
+
+/**
+ * Helper function to turn a flight mode from drone-physics into Betaflight flight mode flags
+ */
+function getModeFlags(mode) {
+  return (modeFlags[mode.level] || 0) | (modeFlags[mode.throttle] || 0);
+}
+
+/**
+ * CSV columns, in order, with how each is read from a sample. Sticks are in
+ * rcCommand units: ±500 for roll, pitch and yaw, 1000-2000 for throttle;
+ * motors are 1000-2000 too. Positive roll, pitch and yaw are right, nose down
+ * and turning right, for the commands, rates and attitude alike.
+ */
+const logColumns = [
+  ['loopIteration',           (sample, row) => row.iteration],
+  ['time (us)',               (sample, row) => Math.round(row.time * 1e6)],
+  ['rcCommand[0]',            (sample) => Math.round(sample.sticks.roll * 500)],
+  ['rcCommand[1]',            (sample) => Math.round(sample.sticks.pitch * 500)],
+  ['rcCommand[2]',            (sample) => Math.round(sample.sticks.yaw * 500)],
+  ['rcCommand[3]',            (sample) => Math.round(1500 + sample.sticks.throttle * 500)],
+  ['gyroADC[0] (deg/s)',      (sample) => (sample.angularVelocity.z * RAD_TO_DEG).toFixed(1)],
+  ['gyroADC[1] (deg/s)',      (sample) => (sample.angularVelocity.x * RAD_TO_DEG).toFixed(1)],
+  ['gyroADC[2] (deg/s)',      (sample) => (-sample.angularVelocity.y * RAD_TO_DEG).toFixed(1)],
+  ['attitude[0] (deg)',       (sample) => (sample.attitude.roll * RAD_TO_DEG).toFixed(1)],
+  ['attitude[1] (deg)',       (sample) => (sample.attitude.pitch * RAD_TO_DEG).toFixed(1)],
+  ['heading (deg)',           (sample) => sample.heading.toFixed(1)],
+  ['heightAboveGround (m)',   (sample) => sample.heightAboveGround === null ? '' : sample.heightAboveGround.toFixed(2)],
+  ['speed (m/s)',             (sample) => sample.speed.toFixed(2)],
+  ['motor[0]',                (sample) => Math.round(1000 + sample.motorOutputs[0] * 1000)],
+  ['motor[1]',                (sample) => Math.round(1000 + sample.motorOutputs[1] * 1000)],
+  ['motor[2]',                (sample) => Math.round(1000 + sample.motorOutputs[2] * 1000)],
+  ['motor[3]',                (sample) => Math.round(1000 + sample.motorOutputs[3] * 1000)],
+  ['vbatLatest (V)',          (sample) => sample.voltage.toFixed(2)],
+  ['amperageLatest (A)',      (sample) => sample.current.toFixed(2)],
+  ['energyCumulative (mAh)',  (sample) => Math.round(sample.used)],
+  ['flightModeFlags (flags)', (sample) => getModeFlags(sample.flightMode)]
+];
+
+// A stalled frame is logged as at most this many rows, rather than a long run of copies
+const maxRowsPerSample = 10;
+
+/**
+ * Helper function to quote a CSV value when it needs it
+ */
+function csvValue(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Sets up a telemetry logger
+ * @param {Object} options - { rate: samples per second, one of logRates }
+ * @returns {Object} Logger controls
+ */
+function setupTelemetryLogger(options = {}) {
+  let rate = options.rate || 50;
+  let rows = [];
+  let logging = false;
+  let clock = 0;      // s since the log started
+  let nextRow = 0;    // s at which the next row is due
+
+  return {
+    start: () => {
+      rows = [];
+      clock = 0;
+      nextRow = 0;
+      logging = true;
+    },
+
+    stop: () => {
+      logging = false;
+    },
+
+    isLogging: () => logging,
+
+    hasLog: () => rows.length > 0,
+
+    getRowCount: () => rows.length,
+
+    getRate: () => rate,
+
+    // Takes effect from the next log
+    setRate: (value) => {
+      if (logRates.includes(value) && !logging) rate = value;
+    },
+
+    /**
+     * Moves the log clock on, call once per simulation frame
+     * @param {Number} delta - Seconds since the previous frame
+     */
+    advance: (delta) => {
+      if (logging) clock += delta;
+    },
+
+    /**
+     * Writes a row for every sample time the clock has passed, holding the latest values
+     * @param {Object} sample - { sticks, angularVelocity, attitude, heading, heightAboveGround,
+     * speed, motorOutputs, voltage, current, used, flightMode: entry of flightModes }
+     */
+    record: (sample) => {
+      if (!logging || nextRow > clock) return;
+
+      // Drop whole sample times a stalled frame skipped over
+      const due = Math.floor((clock - nextRow) * rate) + 1;
+      if (due > maxRowsPerSample) nextRow += (due - maxRowsPerSample) / rate;
+
+      while (nextRow <= clock) {
+        const row = { iteration: rows.length, time: nextRow };
+        rows.push(logColumns.map(([, read]) => read(sample, row)));
+        nextRow = (Math.round(nextRow * rate) + 1) / rate;
+      }
+    },
+
+    /**
+     * The log as CSV, a header row and one row per sample
+     * @returns {String} CSV text
+     */
+    toCsv: () => [logColumns.map(([name]) => name)]
+      .concat(rows)
+      .map(row => row.map(csvValue).join(','))
+      .join('\n') + '\n'
+  };
+}
+
+// Export functions
+export {
+  logRates,
+  setupTelemetryLogger
+};
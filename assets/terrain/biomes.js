@@ -0,0 +1,139 @@
+/**
+ * Biome Presets
+ *
+ * Biomes are plain data, so a new look for the terrain needs no code changes.
+ *
+ * A biome has:
+ * - maxHeight: terrain height scale in world units
+ * - floor: lowest column height as a fraction of maxHeight (the water surface)
+ * - sky: background and fog colour
+ * - climate (optional): noise scales for moisture and temperature, each 0-1 per hex
+ * - bands: checked top to bottom, the first band whose `min` (fraction of maxHeight)
+ *   is below the hex height, and whose optional `moisture`/`temperature` [min, max]
+ *   ranges contain the hex climate, colours the hex
+ *
+ * A band can place foliage. Each entry picks one of `types` (grassOne, grassTwo,
+ * treeOne, treeTwo) with probability `density` per hex, scaled by `scale`, raised
+ * `offset` above the column top, turned `rotationX` radians about x and, when
+ * `rotationY` is set, a random whole number of radians below it about y.
+ */
+
+const biomes = {
+  temperate: {
+    label: 'Temperate',
+    maxHeight: 30,
+    floor: 0.15,
+    sky: 0xf5e6d3,
+    bands: [
+      { name: 'snow',         min: 0.9,  color: 0xE5E5E5 },
+      { name: 'lightSnow',    min: 0.8,  color: 0x73918F },
+      { name: 'rock',         min: 0.7,  color: 0x2A2D10 },
+      {
+        name: 'forest',       min: 0.45, color: 0x224005,
+        foliage: [{ types: ['treeTwo'], density: 1 / 15, scale: [1.1, 1.2, 1.1], offset: 5, rotationY: 3 }]
+      },
+      {
+        name: 'lightForest',  min: 0.32, color: 0x367308,
+        foliage: [{ types: ['treeOne'], density: 1 / 10, scale: [0.4, 0.4, 0.4], offset: 0 }]
+      },
+      {
+        name: 'grass',        min: 0.22, color: 0x98BF06,
+        foliage: [{ types: ['grassOne', 'grassTwo'], density: 1 / 6, scale: [0.15, 0.15, 0.15], offset: 0, rotationX: -(Math.PI / 2) }]
+      },
+      { name: 'sand',         min: 0.15, color: 0xE3F272 },
+      { name: 'shallowWater', min: 0.1,  color: 0x3EA9BF },
+      { name: 'water',        min: 0.05, color: 0x00738B },
+      { name: 'deepWater',    min: 0,    color: 0x015373 }
+    ]
+  },
+
+  desert: {
+    label: 'Desert',
+    maxHeight: 26,
+    floor: 0.12,
+    sky: 0xf6e2c4,
+    climate: { moistureScale: 0.01 },
+    bands: [
+      { name: 'mesaTop',      min: 0.8,  color: 0xA0522D },
+      { name: 'mesa',         min: 0.6,  color: 0xB5723F },
+      {
+        name: 'oasis',        min: 0.15, color: 0x6B8E23, moisture: [0.75, 1],
+        foliage: [
+          { types: ['treeOne'], density: 1 / 12, scale: [0.35, 0.35, 0.35], offset: 0 },
+          { types: ['grassOne', 'grassTwo'], density: 1 / 5, scale: [0.15, 0.15, 0.15], offset: 0, rotationX: -(Math.PI / 2) }
+        ]
+      },
+      {
+        name: 'dunes',        min: 0.3,  color: 0xD9A066,
+        foliage: [{ types: ['treeTwo'], density: 1 / 80, scale: [0.6, 0.7, 0.6], offset: 2, rotationY: 3 }]
+      },
+      { name: 'sand',         min: 0.12, color: 0xE8C07D },
+      { name: 'shallowWater', min: 0.06, color: 0x4FB3B0 },
+      { name: 'water',        min: 0,    color: 0x2E8C8A }
+    ]
+  },
+
+  arctic: {
+    label: 'Arctic',
+    maxHeight: 34,
+    floor: 0.18,
+    sky: 0xe4ecf0,
+    bands: [
+      { name: 'snow',         min: 0.65, color: 0xF4F7F8 },
+      { name: 'rock',         min: 0.55, color: 0x59636B },
+      {
+        name: 'taiga',        min: 0.35, color: 0xC9D6DB,
+        foliage: [{ types: ['treeOne'], density: 1 / 8, scale: [0.4, 0.45, 0.4], offset: 0 }]
+      },
+      { name: 'tundra',       min: 0.18, color: 0xA9B7A0 },
+      { name: 'ice',          min: 0.1,  color: 0xD6EEF5 },
+      { name: 'water',        min: 0,    color: 0x2F6F8F }
+    ]
+  },
+
+  volcanic: {
+    label: 'Volcanic',
+    maxHeight: 36,
+    floor: 0.12,
+    sky: 0xd9cfc7,
+    climate: { temperatureScale: 0.02 },
+    bands: [
+      { name: 'crater',       min: 0.85, color: 0xC1440E, temperature: [0.5, 1] },
+      { name: 'peak',         min: 0.75, color: 0x3B3130 },
+      { name: 'basalt',       min: 0.45, color: 0x2B2624 },
+      {
+        name: 'ash',          min: 0.25, color: 0x6E6461,
+        foliage: [{ types: ['treeTwo'], density: 1 / 40, scale: [0.8, 0.9, 0.8], offset: 3, rotationY: 3 }]
+      },
+      { name: 'lava',         min: 0,    color: 0xE25822, temperature: [0.6, 1] },
+      { name: 'beach',        min: 0.12, color: 0x4A4341 },
+      { name: 'water',        min: 0,    color: 0x1F4E5F }
+    ]
+  }
+};
+
+/**
+ * Reads the biome from the `biome` URL parameter
+ * @returns {String} Biome name, 'temperate' when missing or unknown
+ */
+function getBiomeName() {
+  const name = new URL(window.location.href).searchParams.get('biome');
+  return biomes[name] ? name : 'temperate';
+}
+
+/**
+ * Writes the biome to the URL so it is shared along with the seed
+ * @param {String} name - Biome name
+ */
+function saveBiomeName(name) {
+  const url = new URL(window.location.href);
+  url.searchParams.set('biome', name);
+  window.history.replaceState(null, '', url);
+}
+
+// Export functions
+export {
+  biomes,
+  getBiomeName,
+  saveBiomeName
+};
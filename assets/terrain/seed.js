@@ -0,0 +1,86 @@
+/**
+ * Seed Functions
+ *
+ * This file contains the seeded random helpers that make the terrain
+ * reproducible: the same world seed always gives the same tiles.
+ */
+
+/**
+ * Hashes any mix of strings and numbers into a 32-bit unsigned integer (FNV-1a)
+ * @param {...(String|Number)} values - Values to hash, e.g. world seed and tile coordinates
+ * @returns {Number} 32-bit hash
+ */
+function hashSeed(...values) {
+  const text = values.join(':');
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * Creates a seeded replacement for Math.random (mulberry32)
+ * @param {Number} seed - 32-bit integer seed
+ * @returns {Function} Random function returning values in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Reads the world seed from the `seed` URL parameter, or rolls a new one and
+ * writes it to the URL so the current world can be shared
+ * @returns {String} World seed
+ */
+function getWorldSeed() {
+  const url = new URL(window.location.href);
+  let seed = (url.searchParams.get('seed') || '').trim();
+
+  if (!seed) {
+    seed = String(Math.floor(Math.random() * 10000));
+    saveWorldSeed(seed);
+  }
+
+  return seed;
+}
+
+/**
+ * Writes the world seed to the URL without reloading, for worlds switched in place
+ * @param {String} seed - World seed
+ */
+function saveWorldSeed(seed) {
+  const url = new URL(window.location.href);
+  url.searchParams.set('seed', String(seed));
+  window.history.replaceState(null, '', url);
+}
+
+/**
+ * Reloads the page on a different world seed
+ * @param {String} seed - New world seed
+ */
+function loadWorldSeed(seed) {
+  const url = new URL(window.location.href);
+  url.searchParams.set('seed', String(seed).trim());
+  window.location.href = url.toString();
+}
+
+// Export functions
+export {
+  hashSeed,
+  createRandom,
+  getWorldSeed,
+  saveWorldSeed,
+  loadWorldSeed
+};
@@ -0,0 +1,265 @@
+/**
+ * Terrain Generator Functions
+ *
+ * This file contains the tile generation that runs off the main thread: noise
+ * heights, biome classification and instance matrices for hexes and foliage.
+ * It has no THREE.js dependency so it can be loaded by the tile workers; the
+ * matrices it writes are column-major, as THREE.Matrix4 expects.
+ */
+
+import SimplexNoise from 'https://cdn.skypack.dev/simplex-noise@3.0.0';
+import { hashSeed, createRandom } from './seed.js';
+
+const noiseBySeed = {};
+
+/**
+ * Returns the simplex noise for a world seed, created once per seed
+ * @param {String} seed - World seed
+ * @returns {Object} SimplexNoise instance
+ */
+function getTerrainNoise(seed) {
+  if (!noiseBySeed[seed]) noiseBySeed[seed] = new SimplexNoise(seed);
+  return noiseBySeed[seed];
+}
+
+/**
+ * Height of the hex at grid coordinates, before the biome floor is applied
+ * @param {Object} noise - SimplexNoise instance
+ * @param {Number} tileX - Hex column
+ * @param {Number} tileY - Hex row
+ * @param {Number} maxHeight - Terrain height scale
+ * @returns {Number} Height in world units
+ */
+function getHexHeight(noise, tileX, tileY, maxHeight) {
+  let noise1 = (noise.noise2D(tileX * 0.015, tileY * 0.015) + 1.3) * 0.3;
+  noise1     = Math.pow(noise1, 1.2);
+  let noise2 = (noise.noise2D(tileX * 0.015, tileY * 0.015) + 1) * 0.75;
+  noise2     = Math.pow(noise2, 1.2);
+  return noise1 * noise2 * maxHeight;
+}
+
+/**
+ * Height of the top of the hex column at grid coordinates, water is raised to the biome floor
+ * @param {Object} noise - SimplexNoise instance
+ * @param {Object} biome - Biome preset
+ * @returns {Number} Height in world units
+ */
+function getColumnTop(noise, biome, tileX, tileY) {
+  return Math.max(getHexHeight(noise, tileX, tileY, biome.maxHeight), biome.floor * biome.maxHeight);
+}
+
+/**
+ * World position of a hex centre, with y at half the column height
+ * @returns {Object} { x, y, z }
+ */
+function tileToPosition(tileX, height, tileY) {
+  return {
+    x: (tileX + (tileY % 2) * 0.5) * 1.68,
+    y: height / 2,
+    z: tileY * 1.535
+  };
+}
+
+/**
+ * Nearest hex to a world position, the inverse of tileToPosition
+ * @returns {Object} { x, y } hex column and row
+ */
+function positionToTile(x, z) {
+  const tileY = Math.round(z / 1.535);
+  return { x: Math.round(x / 1.68 - (tileY % 2) * 0.5), y: tileY };
+}
+
+/**
+ * Helper function to write a translate * rotateX * rotateY * scale matrix
+ */
+function writeMatrix(array, index, position, rotationX, rotationY, scaleX, scaleY, scaleZ) {
+  const cx = Math.cos(rotationX), sx = Math.sin(rotationX);
+  const cy = Math.cos(rotationY), sy = Math.sin(rotationY);
+  const o  = index * 16;
+
+  array[o]      = cy * scaleX;
+  array[o + 1]  = sx * sy * scaleX;
+  array[o + 2]  = -cx * sy * scaleX;
+  array[o + 3]  = 0;
+  array[o + 4]  = 0;
+  array[o + 5]  = cx * scaleY;
+  array[o + 6]  = sx * scaleY;
+  array[o + 7]  = 0;
+  array[o + 8]  = sy * scaleZ;
+  array[o + 9]  = -sx * cy * scaleZ;
+  array[o + 10] = cx * cy * scaleZ;
+  array[o + 11] = 0;
+  array[o + 12] = position.x;
+  array[o + 13] = position.y;
+  array[o + 14] = position.z;
+  array[o + 15] = 1;
+}
+
+/**
+ * Helper function to create an instance buffer that tracks how many are used
+ */
+function createInstances(capacity) {
+  return { matrices: new Float32Array(Math.max(capacity, 1) * 16), count: 0, capacity: Math.max(capacity, 1) };
+}
+
+// The buffer grows rather than dropping instances, which would make what grows depend on the tile size
+function addInstance(instances, position, rotationX, rotationY, scaleX, scaleY, scaleZ) {
+  if (instances.count >= instances.capacity) {
+    const matrices = new Float32Array(instances.capacity * 2 * 16);
+    matrices.set(instances.matrices);
+    instances.matrices = matrices;
+    instances.capacity *= 2;
+  }
+  writeMatrix(instances.matrices, instances.count, position, rotationX, rotationY, scaleX, scaleY, scaleZ);
+  instances.count++;
+}
+
+/**
+ * Moisture and temperature of a hex, each 0-1, from offset noise when the biome asks for it
+ * @param {Object} noise - SimplexNoise instance
+ * @param {Object} climate - Biome climate settings, may be undefined
+ * @returns {Object} { moisture, temperature }
+ */
+function getClimate(noise, climate, tileX, tileY) {
+  const sample = (scale, offset) =>
+    scale ? (noise.noise2D(tileX * scale + offset, tileY * scale - offset) + 1) / 2 : 0.5;
+
+  return {
+    moisture:     sample(climate && climate.moistureScale, 1000),
+    temperature:  sample(climate && climate.temperatureScale, 2000)
+  };
+}
+
+/**
+ * Finds the biome band for a hex
+ * @param {Object} biome - Biome preset (see biomes.js)
+ * @param {Number} height - Hex height in world units
+ * @param {Object} climate - { moisture, temperature }
+ * @returns {Object|undefined} Band, undefined below every band
+ */
+function classifyHex(biome, height, climate) {
+  const inRange = (value, range) => !range || (value >= range[0] && value <= range[1]);
+
+  return biome.bands.find(band =>
+    height > band.min * biome.maxHeight &&
+    inRange(climate.moisture, band.moisture) &&
+    inRange(climate.temperature, band.temperature)
+  );
+}
+
+/**
+ * Helper function to turn 0xRRGGBB into [r, g, b] in 0-1, as THREE.Color does
+ */
+function hexToRGB(hex) {
+  return [((hex >> 16) & 255) / 255, ((hex >> 8) & 255) / 255, (hex & 255) / 255];
+}
+
+/**
+ * Helper function to list the hexes a tile draws. With a step above 1 only every step-th row
+ * and column is kept, the kept ones offset like the rows of the full grid, so they form the
+ * same hex grid at step times the size.
+ */
+function getTileHexes(params, step) {
+  const hexes = [];
+  const wrap  = (value) => ((value % step) + step) % step;
+
+  for (let i = params.xFrom; i <= params.xTo; i++) {
+    for (let j = params.yFrom; j <= params.yTo; j++) {
+      if (step > 1 && (wrap(j) || wrap(i) !== (wrap(j / step) % 2) * step / 2)) continue;
+      hexes.push([i, j]);
+    }
+  }
+
+  return hexes;
+}
+
+/**
+ * Generates the buffers for one terrain tile
+ * @param {Object} params - { seed, xFrom, xTo, yFrom, yTo, biome, grassCapacity, treeCapacity }, and for
+ * a lower level of detail step (1 for every hex, 2 for every other one at twice the size...) and
+ * foliageTypes, the foliage placed (all of it without)
+ * @returns {Object} { hexCount, hexMatrices, hexColors, foliage: { grassOne, grassTwo, treeOne, treeTwo } }
+ */
+function generateTile(params) {
+  const noise   = getTerrainNoise(params.seed);
+  const biome   = params.biome;
+  const floor   = biome.floor * biome.maxHeight;
+  const colors  = biome.bands.map(band => hexToRGB(band.color));
+  const step    = params.step || 1;
+  const hexes   = getTileHexes(params, step);
+
+  const hexCount    = hexes.length;
+  const hexMatrices = new Float32Array(hexCount * 16);
+  const hexColors   = new Float32Array(hexCount * 3);
+
+  const foliage = {
+    grassOne: createInstances(params.grassCapacity),
+    grassTwo: createInstances(params.grassCapacity),
+    treeOne:  createInstances(params.treeCapacity),
+    treeTwo:  createInstances(params.treeCapacity)
+  };
+
+  hexes.forEach(([i, j], hexCounter) => {
+
+    const height    = getHexHeight(noise, i, j, biome.maxHeight);
+    const columnTop = Math.max(height, floor);
+    const pos       = tileToPosition(i, columnTop, j);
+
+    writeMatrix(hexMatrices, hexCounter, pos, 0, 0, step, columnTop, step);
+
+    const band = classifyHex(biome, height, getClimate(noise, biome.climate, i, j));
+    if (!band) return;
+
+    hexColors.set(colors[biome.bands.indexOf(band)], hexCounter * 3);
+
+    // Foliage is seeded per hex, and per level below full detail, so a hex grows the same whatever
+    // tile it falls in; at lower detail each kept hex places foliage as one hex would, so there is less of it
+    const random = createRandom(step > 1 ? hashSeed(params.seed, i, j, step) : hashSeed(params.seed, i, j));
+
+    (band.foliage || []).forEach(spec => {
+      if (params.foliageTypes && !spec.types.some(type => params.foliageTypes.includes(type))) return;
+
+      // Draw order is rotation, placement, then type, so a hex always comes out the same
+      const rotationY = spec.rotationY ? Math.floor(random() * spec.rotationY) : 0;
+      if (random() >= spec.density) return;
+
+      const type = spec.types.length > 1 ? spec.types[Math.floor(random() * spec.types.length)] : spec.types[0];
+      const position = { x: pos.x, y: (pos.y * 2) + (spec.offset || 0), z: pos.z };
+
+      addInstance(foliage[type], position, spec.rotationX || 0, rotationY, spec.scale[0], spec.scale[1], spec.scale[2]);
+    });
+
+  });
+
+  return {
+    hexCount:     hexCount,
+    hexMatrices:  hexMatrices,
+    hexColors:    hexColors,
+    foliage:      foliage
+  };
+}
+
+/**
+ * Lists the buffers of a generated tile, for transferring them between threads
+ * @param {Object} tile - Result of generateTile
+ * @returns {Array} ArrayBuffers
+ */
+function getTransferables(tile) {
+  return [
+    tile.hexMatrices.buffer,
+    tile.hexColors.buffer,
+    ...Object.keys(tile.foliage).map(name => tile.foliage[name].matrices.buffer)
+  ];
+}
+
+// Export functions
+export {
+  getTerrainNoise,
+  getHexHeight,
+  getColumnTop,
+  classifyHex,
+  tileToPosition,
+  positionToTile,
+  generateTile,
+  getTransferables
+};
@@ -0,0 +1,66 @@
+/**
+ * Tile Level Of Detail Functions
+ *
+ * This file picks how much detail a terrain tile is built with from how far
+ * it is from the view. Lower levels keep every other (or every fourth) hex at
+ * twice (or four times) the size, with foliage to match, so distant tiles
+ * cost a fraction of the near ones; the tile workers generate every level.
+ */
+
+import { tileToPosition } from './terrain-generator.js';
+
+/**
+ * Levels from the closest in, each used from its distance in metres to the
+ * nearest edge of the tile. Step and foliageTypes are passed on to generateTile.
+ */
+const lodLevels = [
+  { step: 1, distance: 0 },
+  { step: 2, distance: 45 },
+  { step: 4, distance: 110, foliageTypes: ['treeOne', 'treeTwo'] } // grass is lost in the fog by then
+];
+
+// A tile only drops a level this far past the level's distance, so it does not flicker at the boundary
+const lodMargin = 10;     // m
+
+// Seconds a new level takes to fade in over the old one
+const lodFadeTime = 0.6;
+
+/**
+ * Distance from a position to the nearest edge of a tile, along the ground
+ * @param {Object} tile - { xFrom, xTo, yFrom, yTo } in hexes
+ * @param {Object} position - World position { x, z }
+ * @returns {Number} Metres, 0 inside the tile
+ */
+function getTileDistance(tile, position) {
+  const from = tileToPosition(tile.xFrom, 0, tile.yFrom);
+  const to = tileToPosition(tile.xTo, 0, tile.yTo);
+  const dx = Math.max(from.x - position.x, 0, position.x - to.x);
+  const dz = Math.max(from.z - position.z, 0, position.z - to.z);
+
+  return Math.sqrt(dx * dx + dz * dz);
+}
+
+/**
+ * Level of detail for a tile
+ * @param {Number} distance - Result of getTileDistance
+ * @param {Number} current - Level the tile has now, undefined for a new tile
+ * @returns {Number} Index in lodLevels
+ */
+function getLodLevel(distance, current) {
+  let level = 0;
+
+  lodLevels.forEach((lod, index) => {
+    const margin = current !== undefined && index > current ? lodMargin : 0;
+    if (distance >= lod.distance + margin) level = index;
+  });
+
+  return level;
+}
+
+// Export functions
+export {
+  lodLevels,
+  lodFadeTime,
+  getTileDistance,
+  getLodLevel
+};
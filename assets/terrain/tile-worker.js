@@ -0,0 +1,19 @@
+/**
+ * Tile Worker
+ *
+ * Module worker that generates terrain tiles with terrain-generator.js and
+ * transfers the finished buffers back to the main thread.
+ */
+
+import { generateTile, getTransferables } from './terrain-generator.js';
+
+self.onmessage = (event) => {
+  const { id, params } = event.data;
+
+  try {
+    const tile = generateTile(params);
+    self.postMessage({ id: id, tile: tile }, getTransferables(tile));
+  } catch (error) {
+    self.postMessage({ id: id, error: error.message });
+  }
+};
@@ -0,0 +1,128 @@
+/**
+ * Tile Worker Pool Functions
+ *
+ * This file hands terrain tile generation to a pool of module workers, and
+ * falls back to generating on the main thread where module workers are missing.
+ */
+
+import { generateTile } from './terrain-generator.js';
+
+/**
+ * Sets up a pool of tile workers
+ * @param {Object} options - { size } number of workers, defaults to the spare CPU cores (max 4)
+ * @returns {Object} Pool controls
+ */
+function setupTileWorkers(options = {}) {
+  const size = options.size || Math.max(1, Math.min((navigator.hardwareConcurrency || 2) - 1, 4));
+  const workers = [];
+  const pending = {};
+  const queue = [];
+
+  let nextId = 0;
+
+  function handleMessage(worker, event) {
+    const { id, tile, error } = event.data;
+    const request = pending[id];
+
+    delete pending[id];
+    worker.busy = false;
+    worker.requestId = null;
+
+    if (error) request.reject(new Error(error));
+    else request.resolve(tile);
+
+    dispatch();
+  }
+
+  // A worker that fails to load or crashes is dropped, its work finishes on the main thread
+  function handleFailure(worker, event) {
+    console.error('Tile worker failed', event.message);
+
+    worker.instance.terminate();
+    workers.splice(workers.indexOf(worker), 1);
+
+    const request = pending[worker.requestId];
+    delete pending[worker.requestId];
+    if (request) generateOnMainThread(request);
+
+    if (!workers.length) queue.splice(0).forEach(generateOnMainThread);
+    else dispatch();
+  }
+
+  function generateOnMainThread(request) {
+    // Yield to the render loop before the synchronous generation
+    setTimeout(() => {
+      try {
+        request.resolve(generateTile(request.params));
+      } catch (error) {
+        request.reject(error);
+      }
+    }, 0);
+  }
+
+  // Hand queued requests to idle workers, oldest first
+  function dispatch() {
+    workers.forEach(worker => {
+      if (worker.busy || !queue.length) return;
+
+      const request = queue.shift();
+      worker.busy = true;
+      worker.requestId = request.id;
+      pending[request.id] = request;
+      worker.instance.postMessage({ id: request.id, params: request.params });
+    });
+  }
+
+  try {
+    for (let i = 0; i < size; i++) {
+      const worker = {
+        instance: new Worker(new URL('./tile-worker.js', import.meta.url), { type: 'module' }),
+        busy: false,
+        requestId: null
+      };
+      worker.instance.onmessage = (event) => handleMessage(worker, event);
+      worker.instance.onerror = (event) => handleFailure(worker, event);
+      workers.push(worker);
+    }
+  } catch (error) {
+    console.warn('Module workers unavailable, generating tiles on the main thread', error);
+    workers.length = 0;
+  }
+
+  return {
+    /**
+     * Generates a tile
+     * @param {Object} params - See generateTile
+     * @returns {Promise} Resolves with the generated tile buffers, rejects with error.cancelled set when cancelQueued drops it
+     */
+    generate: (params) => {
+      return new Promise((resolve, reject) => {
+        const request = { id: nextId++, params: params, resolve: resolve, reject: reject };
+
+        if (!workers.length) return generateOnMainThread(request);
+
+        queue.push(request);
+        dispatch();
+      });
+    },
+
+    // Drop requests that have not started, e.g. tiles the drone has flown away from
+    cancelQueued: (shouldCancel) => {
+      for (let i = queue.length - 1; i >= 0; i--) {
+        if (!shouldCancel(queue[i].params)) continue;
+        queue[i].reject(Object.assign(new Error('Tile request cancelled'), { cancelled: true }));
+        queue.splice(i, 1);
+      }
+    },
+
+    terminate: () => {
+      workers.forEach(worker => worker.instance.terminate());
+      workers.length = 0;
+    }
+  };
+}
+
+// Export functions
+export {
+  setupTileWorkers
+};
@@ -0,0 +1,157 @@
+/**
+ * Wind Field Functions
+ *
+ * This file models the air the drone flies through: a prevailing wind that
+ * builds with height above the ground, gusts from noise drifting downwind
+ * and rough air in the lee of ridges. The flight model takes the wind as the
+ * velocity of the air around the drone, so it pushes through drag.
+ *
+ * Directions are compass headings in degrees, clockwise from +Z like the
+ * OSD, and name where the wind blows from.
+ */
+
+import * as THREE from 'three';
+import SimplexNoise from 'https://cdn.skypack.dev/simplex-noise@3.0.0';
+
+const windLimits = { min: 0, max: 15 }; // m/s
+
+/**
+ * Default wind, the strength being the prevailing speed at the reference height
+ */
+const defaultWind = {
+  strength: 3,      // m/s
+  direction: 270,   // degrees, blowing from
+  gustiness: 0.4    // gust speed as a fraction of the strength
+};
+
+// Wind profile over the ground: slow near it, the strength at the reference height
+const referenceHeight = 10;   // m
+const roughness = 0.3;        // m, roughness length of open country with trees
+
+// Gust cells drift with the wind, turbulent eddies are smaller and faster
+const gustScale = 80;         // m
+const gustPeriod = 6;         // s
+const eddyScale = 6;          // m
+const eddyPeriod = 0.7;       // s
+
+// Distances upwind that are checked for ridges shading the drone
+const leeSamples = [5, 10, 20, 30, 40];
+const leeReach = 50;          // m, how far downwind of a ridge the rough air lasts
+
+/**
+ * Sets up the wind field
+ * @param {Object} options - Wind overrides (see defaultWind), and
+ * getGroundHeight(x, z) for the terrain height (flat ground at 0 without it)
+ * @returns {Object} Wind controls
+ */
+function setupWindField(options = {}) {
+  const { getGroundHeight = () => 0, ...overrides } = options;
+  const wind = Object.assign({}, defaultWind, overrides);
+  const noise = new SimplexNoise();
+
+  // Unit vector the wind blows along, opposite to the heading it comes from
+  const downwind = { x: 0, z: 0 };
+  let time = 0;
+
+  function updateDirection() {
+    const heading = wind.direction * Math.PI / 180;
+    downwind.x = Math.sin(heading);
+    downwind.z = -Math.cos(heading);
+  }
+
+  updateDirection();
+
+  // Share of the prevailing wind at a height above the ground
+  function profile(height) {
+    const clamped = Math.max(height, roughness * 2);
+    return Math.min(Math.log(clamped / roughness) / Math.log(referenceHeight / roughness), 1.6);
+  }
+
+  // 0 in the open, towards 1 low behind a tall ridge just upwind
+  function leeOf(x, y, z, ground) {
+    let lee = 0;
+
+    leeSamples.forEach(distance => {
+      const ridge = getGroundHeight(x - downwind.x * distance, z - downwind.z * distance);
+      const rise = ridge - ground;
+      if (rise < 2) return;
+
+      // The sheltered air reaches a little above the ridge top, and thins out downwind
+      const top = ridge + rise * 0.5;
+      const depth = THREE.MathUtils.clamp((top - y) / (top - ground), 0, 1);
+      lee = Math.max(lee, depth * Math.min(rise / 10, 1) * (1 - distance / leeReach));
+    });
+
+    return lee;
+  }
+
+  return {
+    /**
+     * Moves the gusts on, call once per simulation frame
+     * @param {Number} delta - Seconds since the previous frame
+     */
+    update: (delta) => {
+      time += Math.min(delta, 0.1);
+    },
+
+    /**
+     * The air velocity at a position
+     * @param {Object} position - World position (THREE.Vector3)
+     * @param {Object} target - THREE.Vector3 the wind velocity in m/s is written to
+     * @returns {Number} How rough the air is there, 0 to 1
+     */
+    sample: (position, target) => {
+      if (!wind.strength) {
+        target.set(0, 0, 0);
+        return 0;
+      }
+
+      const ground = getGroundHeight(position.x, position.z);
+      const height = position.y - ground;
+      const lee = leeOf(position.x, position.y, position.z, ground);
+
+      // Gust cells ride the wind, each a little faster or slower and veering slightly
+      const drift = wind.strength * time;
+      const cellX = (position.x - downwind.x * drift) / gustScale;
+      const cellZ = (position.z - downwind.z * drift) / gustScale;
+      const gust = noise.noise3D(cellX, cellZ, time / gustPeriod) * wind.gustiness;
+      const veer = noise.noise3D(cellZ + 40, cellX, time / gustPeriod) * 0.35;
+
+      // Ridges shelter the air behind them from the mean wind
+      const speed = Math.max(wind.strength * (1 + gust) * profile(height) * (1 - lee * 0.6), 0);
+      const cos = Math.cos(veer);
+      const sin = Math.sin(veer);
+      target.set(
+        (downwind.x * cos - downwind.z * sin) * speed,
+        0,
+        (downwind.x * sin + downwind.z * cos) * speed
+      );
+
+      // Then tumble it into eddies, up and down draughts included
+      const roughAir = Math.min(lee + Math.abs(gust) * 0.25, 1);
+      const eddy = wind.strength * roughAir * 0.8;
+      const eddyTime = time / eddyPeriod;
+      target.x += noise.noise3D(position.x / eddyScale, position.z / eddyScale, eddyTime) * eddy;
+      target.y += noise.noise3D(position.z / eddyScale, eddyTime, position.x / eddyScale) * eddy * 0.6;
+      target.z += noise.noise3D(eddyTime, position.x / eddyScale, position.z / eddyScale) * eddy;
+
+      return roughAir;
+    },
+
+    // Change the strength and/or direction, see defaultWind
+    setWind: (values) => {
+      Object.assign(wind, values);
+      wind.strength = THREE.MathUtils.clamp(wind.strength, windLimits.min, windLimits.max);
+      updateDirection();
+    },
+
+    getWind: () => Object.assign({}, wind)
+  };
+}
+
+// Export functions
+export {
+  windLimits,
+  defaultWind,
+  setupWindField
+};
@@ -1,15 +1,38 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { computeBoundsTree, disposeBoundsTree, acceleratedRaycast } from 'https://cdn.jsdelivr.net/npm/three-mesh-bvh@0.7.3/+esm';
-import SimplexNoise from 'https://cdn.skypack.dev/simplex-noise@3.0.0';
 import { Howl } from 'https://cdn.jsdelivr.net/npm/howler@2.2.3/+esm';
-import { getGPUTier } from 'https://cdn.jsdelivr.net/npm/detect-gpu@5.0.17/+esm';
+import { flightModes, setupDronePhysics, setupFlightController } from './assets/drone/drone-physics.js';
+import { setupGamepadInput, channelNames, channelLimits } from './assets/input/gamepad.js';
+import { actions, touchDirections, setupInput } from './assets/input/input.js';
+import { hashSeed, getWorldSeed, saveWorldSeed, loadWorldSeed } from './assets/terrain/seed.js';
+import { setupTileWorkers } from './assets/terrain/tile-workers.js';
+import { setupDroneCollision } from './assets/drone/drone-collision.js';
+import { setupBattery } from './assets/drone/drone-battery.js';
+import { getTerrainNoise, getColumnTop, tileToPosition, positionToTile } from './assets/terrain/terrain-generator.js';
+import { biomes, getBiomeName, saveBiomeName } from './assets/terrain/biomes.js';
+import { lodLevels, lodFadeTime, getTileDistance, getLodLevel } from './assets/terrain/tile-lod.js';
+import { setupOsd } from './assets/osd/osd.js';
+import { setupFpvCamera } from './assets/camera/fpv-camera.js';
+import { cameraRigs, setupCameraRigs } from './assets/camera/camera-rigs.js';
+import { setupFlightRecorder, createReplay } from './assets/replay/flight-recorder.js';
+import { logRates, setupTelemetryLogger } from './assets/telemetry/telemetry-logger.js';
+import { gateLimits, lapLimits, parseCourseCode, createCourseCode, generateCourse } from './assets/race/race-course.js';
+import { setupRace, formatRaceTime } from './assets/race/race-mode.js';
+import { setupTrackEditor } from './assets/race/track-editor.js';
+import { setupGhostRace } from './assets/race/ghost-race.js';
+import { windLimits, setupWindField } from './assets/weather/wind-field.js';
+import { setupDroneAudio } from './assets/sound/drone-audio.js';
+import { settingFields, getDefaultSettings, setupUserSettings } from './assets/settings/user-settings.js';
+import { qualityPresets, detectGpu, setupQualityMonitor } from './assets/settings/graphics-quality.js';
 
 const container = document.querySelector('.container');
 const canvas    = document.querySelector('.canvas');
 
 let
 gpuTier,
+userSettings,
+qualityMonitor,
 sizes,
 scene,
 camera,
@@ -18,20 +41,40 @@ camZ,
 renderer,
 clock,
 raycaster,
-distance,
 flyingIn,
 clouds,
-movingCharDueToDistance,
-movingCharTimeout,
-currentPos,
-currentLookAt,
-lookAtPosZ,
-thirdPerson,
+fpvCamera,
+cameraRig,
 doubleSpeed,
 character,
-charPosYIncrement,
-charRotateYIncrement,
 charRotateYMax,
+dronePhysics,
+flightController,
+droneCollision,
+battery,
+autoLanding,
+flightTime,
+lastSticks,
+heightAboveGround,
+osd,
+armed,
+landed,
+landingSpot,
+crashed,
+crashTimeout,
+respawnTimeout,
+recorder,
+replay,
+replayReturn,
+telemetry,
+race,
+racePosition,
+raceSplitTimeout,
+ghostRace,
+trackEditor,
+editing,
+editorFocus,
+editorReturnRig,
 mixer,
 charAnimation,
 gliding,
@@ -40,38 +83,42 @@ charNeck,
 charBody,
 propellerAnimation,
 droneTilt,
-hoverEffect,
+windField,
 gltfLoader,
 grassMeshes,
 treeMeshes,
 centerTile,
 tileWidth,
 amountOfHexInTile,
+worldSeed,
 simplex,
-maxHeight,
-snowHeight,
-lightSnowHeight,
-rockHeight,
-forestHeight,
-lightForestHeight,
-grassHeight,
-sandHeight,
-shallowWaterHeight,
-waterHeight,
-deepWaterHeight,
-textures,
+biome,
 terrainTiles,
+buildingTiles,
+tileCache,
+tileQueue,
+tileWorkers,
 activeTile,
-activeKeysPressed,
+viewRadius,
+lodCentre,
+lodTile,
+obstacleGrid,
+input,
+gamepadInput,
 bgMusic,
-muteBgMusic,
+musicVolume,
+muteSound,
+droneAudio,
+listenerPosition,
+listenerRig,
 infoModalDisplayed,
+settingsModalDisplayed,
 loadingDismissed;
 
 const setScene = async () => {
 
-  gpuTier = await getGPUTier();
-  console.log(gpuTier.tier);
+  gpuTier = await detectGpu();
+  userSettings = setupUserSettings(getDefaultSettings(gpuTier.tier));
 
   sizes = {
     width:  container.offsetWidth,
@@ -79,7 +126,7 @@ const setScene = async () => {
   };
 
   scene             = new THREE.Scene();
-  scene.background  = new THREE.Color(0xf5e6d3);
+  scene.background  = new THREE.Color();
 
   flyingIn  = true;
   camY      = 160,
@@ -91,7 +138,6 @@ const setScene = async () => {
     canvas:     canvas,
     antialias:  false
   });
-  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
   renderer.toneMapping = THREE.ACESFilmicToneMapping;
   renderer.outputEncoding = THREE.sRGBEncoding;
   clock = new THREE.Clock();
@@ -100,22 +146,38 @@ const setScene = async () => {
 
   gltfLoader = new GLTFLoader();
   
-  activeKeysPressed   = [];
-  muteBgMusic         = true;
-  infoModalDisplayed  = false;
+  muteSound               = true;
+  infoModalDisplayed      = false;
+  settingsModalDisplayed  = false;
 
+  setGamepad();
+  setInput();
   joystick();
   setFog();
   setRaycast();
   setTerrainValues();
+  setQuality();
+  setWorldSeedPanel();
+  setBiomePanel();
   await setClouds();
+  setWind();
+  setSound();
   await setCharacter();
+  setFlightLimitsPanel();
+  setBatteryPanel();
   await setGrass();
   await setTrees();
   setCam();
-  createTile();
+  setOsd();
+  setRecording();
+  setTelemetry();
+  setRace();
+  setTrackEditor();
+  setSettingsPanel();
+  await createTile();
   createSurroundingTiles(`{"x":${centerTile.xFrom},"y":${centerTile.yFrom}}`);
   calcCharPos();
+  cameraRig.update(0);
   resize();
   listenTo();
   render();
@@ -127,33 +189,6 @@ const setScene = async () => {
 
 const joystick = () => {
 
-  const calcJoystickDir = (deg) => {
-
-    activeKeysPressed = [];
-
-    if(deg < 22.5 || deg >= 337.5) activeKeysPressed.push(39); // right
-    if(deg >= 22.5 && deg < 67.5) {
-      activeKeysPressed.push(38);
-      activeKeysPressed.push(39);
-    } // up right
-    if(deg >= 67.5 && deg < 112.5) activeKeysPressed.push(38); // up
-    if(deg >= 112.5 && deg < 157.5) {
-      activeKeysPressed.push(38);
-      activeKeysPressed.push(37);
-    } // up left
-    if(deg >= 157.5 && deg < 202.5) activeKeysPressed.push(37); // left
-    if(deg >= 202.5 && deg < 247.5) {
-      activeKeysPressed.push(40);
-      activeKeysPressed.push(37);
-    } // down left
-    if(deg >= 247.5 && deg < 292.5) activeKeysPressed.push(40); // down
-    if(deg >= 292.5 && deg < 337.5) {
-      activeKeysPressed.push(40);
-      activeKeysPressed.push(39);
-    } // down right
-
-  }
-
   const joystickOptions = {
     zone: document.getElementById('zone-joystick'),
     shape: 'circle',
@@ -163,801 +198,2560 @@ const joystick = () => {
 
   const manager = nipplejs.create(joystickOptions);
 
-  manager.on('move', (e, data) => calcJoystickDir(data.angle.degree));
-  manager.on('end', () => (activeKeysPressed = []));
+  // The stick position feeds whichever actions are bound to its directions
+  manager.on('move', (e, data) => {
+    const force = Math.min(data.force, 1);
+    input.setTouchVector(data.vector.x * force, data.vector.y * force);
+  });
+  manager.on('end', () => input.releaseTouch());
 
 };
 
-const setFog = () => {
+const setWorldSeedPanel = () => {
 
-  THREE.ShaderChunk.fog_pars_vertex += `
-    #ifdef USE_FOG
-      varying vec3 vWorldPosition;
-    #endif
-  `;
+  const seedInput = document.querySelector('.seed-input');
+  seedInput.value = worldSeed;
 
-  THREE.ShaderChunk.fog_vertex += `
-    #ifdef USE_FOG
-      vec4 worldPosition = projectionMatrix * modelMatrix * vec4(position, 1.0);
-      vWorldPosition = worldPosition.xyz;
-    #endif
-  `;
+  document.querySelector('.seed-apply')
+    .addEventListener('click', () => {
+      if(seedInput.value.trim() && seedInput.value.trim() !== worldSeed) loadWorldSeed(seedInput.value);
+    });
+  document.querySelector('.seed-random')
+    .addEventListener('click', () => loadWorldSeed(Math.floor(Math.random() * 10000)));
 
-  THREE.ShaderChunk.fog_pars_fragment += `
-    #ifdef USE_FOG
-      varying vec3 vWorldPosition;
-      float fogHeight = 10.0;
-    #endif
-  `;
+}
 
-  const FOG_APPLIED_LINE = 'gl_FragColor.rgb = mix( gl_FragColor.rgb, fogColor, fogFactor );';
-  THREE.ShaderChunk.fog_fragment = THREE.ShaderChunk.fog_fragment.replace(FOG_APPLIED_LINE, `
-    float heightStep = smoothstep(fogHeight, 0.0, vWorldPosition.y);
-    float fogFactorHeight = smoothstep( fogNear * 0.7, fogFar, vFogDepth );
-    float fogFactorMergeHeight = fogFactorHeight * heightStep;
-    
-    gl_FragColor.rgb = mix( gl_FragColor.rgb, fogColor, fogFactorMergeHeight );
-    ${FOG_APPLIED_LINE}
-  `);
+const setBiomePanel = () => {
 
-  const near = 
-    gpuTier.tier === 1
-      ? 20
-      : gpuTier.tier === 2
-      ? 60
-      : gpuTier.tier === 3
-      ? 70
-      : 20
-  const far = 
-    gpuTier.tier === 1
-      ? 72
-      : gpuTier.tier === 2
-      ? 100
-      : gpuTier.tier === 3
-      ? 115
-      : 72
+  const biomeSelect = document.querySelector('.biome-select');
+
+  Object.keys(biomes).forEach(name => {
+    const option        = document.createElement('option');
+    option.value        = name;
+    option.textContent  = biomes[name].label;
+    option.selected     = name === biome;
+    biomeSelect.appendChild(option);
+  });
 
-  scene.fog = new THREE.Fog(0xf5e6d3, near, far);
+  biomeSelect.addEventListener('change', () => setBiome(biomeSelect.value));
 
 }
 
-const setRaycast = () => {
+const setFlightLimitsPanel = () => {
 
-  THREE.BufferGeometry.prototype.computeBoundsTree  = computeBoundsTree;
-  THREE.BufferGeometry.prototype.disposeBoundsTree  = disposeBoundsTree;
-  THREE.Mesh.prototype.raycast                      = acceleratedRaycast;
+  const ceilingInput  = document.querySelector('.ceiling-input');
+  const floorInput    = document.querySelector('.floor-input');
+  const limits        = flightController.getLimits();
 
-  raycaster = new THREE.Raycaster();
-  distance  = 14;
-  movingCharDueToDistance = false;
-  raycaster.firstHitOnly = true;
+  // An empty ceiling is no altitude cap, an empty floor no minimum height
+  ceilingInput.value  = isFinite(limits.ceiling) ? limits.ceiling : '';
+  floorInput.value    = limits.floor || '';
+
+  ceilingInput.addEventListener('change', () => {
+    const ceiling = parseFloat(ceilingInput.value);
+    flightController.setLimits({ ceiling: ceiling > 0 ? ceiling : Infinity });
+  });
+  floorInput.addEventListener('change', () => {
+    const floor = parseFloat(floorInput.value);
+    flightController.setLimits({ floor: floor > 0 ? floor : 0 });
+  });
 
 }
 
-const setTerrainValues = () => {
+const setSettingsPanel = () => {
 
-  const centerTileFromTo = 
-    gpuTier.tier === 1
-      ? 15
-      : gpuTier.tier === 2
-      ? 25
-      : gpuTier.tier === 3
-      ? 30
-      : 15
+  // Every setting is a select of its options or a range input showing its value, changes apply straight away
+  Object.keys(settingFields).forEach(name => {
+    const field = settingFields[name];
+    const input = document.querySelector(`.setting-input[data-setting="${name}"]`);
+
+    if(field.options) {
+      Object.keys(field.options).forEach(value => {
+        const option        = document.createElement('option');
+        option.value        = value;
+        option.textContent  = field.options[value];
+        input.appendChild(option);
+      });
+    }
+    else {
+      input.min   = field.min;
+      input.max   = field.max;
+      input.step  = field.step;
+    }
+
+    input.addEventListener(field.options ? 'change' : 'input', () => {
+      userSettings.set(name, field.options ? input.value : Number(input.value)).forEach(changed => applySetting(changed));
+
+      // Turning a sound channel up is taken as wanting sound on
+      if(field.group === 'sound' && muteSound && userSettings.get(name) > 0) toggleSound();
+    });
+
+    showSetting(name);
+  });
+
+  document.querySelector('.settings-reset')
+    .addEventListener('click', () => {
+      userSettings.reset();
+      Object.keys(settingFields).forEach(name => applySetting(name));
+    });
 
-  centerTile = {
-    xFrom:  -centerTileFromTo,
-    xTo:    centerTileFromTo,
-    yFrom:  -centerTileFromTo,
-    yTo:    centerTileFromTo
-  };
-  tileWidth             = centerTileFromTo * 2; // diff between xFrom - xTo (not accounting for 0)
-  amountOfHexInTile     = Math.pow((centerTile.xTo + 1) - centerTile.xFrom, 2); // +1 accounts for 0
-  simplex               = new SimplexNoise();
-  maxHeight             = 30;
-  snowHeight            = maxHeight * 0.9;
-  lightSnowHeight       = maxHeight * 0.8;
-  rockHeight            = maxHeight * 0.7;
-  forestHeight          = maxHeight * 0.45;
-  lightForestHeight     = maxHeight * 0.32;
-  grassHeight           = maxHeight * 0.22;
-  sandHeight            = maxHeight * 0.15;
-  shallowWaterHeight    = maxHeight * 0.1;
-  waterHeight           = maxHeight * 0.05;
-  deepWaterHeight       = maxHeight * 0;
-  textures              = {
-    snow:         new THREE.Color(0xE5E5E5),
-    lightSnow:    new THREE.Color(0x73918F),
-    rock:         new THREE.Color(0x2A2D10),
-    forest:       new THREE.Color(0x224005),
-    lightForest:  new THREE.Color(0x367308),
-    grass:        new THREE.Color(0x98BF06),
-    sand:         new THREE.Color(0xE3F272),
-    shallowWater: new THREE.Color(0x3EA9BF),
-    water:        new THREE.Color(0x00738B),
-    deepWater:    new THREE.Color(0x015373)
-  };
-  terrainTiles      = [];
-  
 }
 
-const setClouds = async () => {
+const showSetting = (name) => {
 
-  clouds                = []
-  const amountOfClouds  = 10;
+  const value = userSettings.get(name);
 
-  const createClouds = async () => {
-    
-    const cloudModels     = [];
-    const cloudModelPaths = [
-      'assets/clouds/cloud-one/scene.gltf',
-      'assets/clouds/cloud-two/scene.gltf'
-    ];
-  
-    for(let i = 0; i < cloudModelPaths.length; i++)
-      cloudModels[i] = await gltfLoader.loadAsync(cloudModelPaths[i]);
+  document.querySelector(`.setting-input[data-setting="${name}"]`).value = value;
+  if(!settingFields[name].options)
+    document.querySelector(`.setting-value[data-setting="${name}"]`).textContent = `${value}${settingFields[name].unit}`;
 
-    return cloudModels;
+}
 
+const applySetting = (name) => {
+
+  const value = userSettings.get(name);
+
+  switch(name) {
+    case 'quality':
+    case 'fogNear':
+    case 'fogFar':
+    case 'tileSize':
+    case 'viewRadius':
+      updateGraphics();
+      break;
+    case 'targetFps':
+      qualityMonitor.setTarget(value);
+      break;
+    case 'musicVolume':
+      musicVolume = value / 100;
+      if(bgMusic) bgMusic.volume(getMusicLevel());
+      break;
+    case 'droneVolume':
+      droneAudio.setVolume(value / 100);
+      break;
+    case 'turnRate':
+      updateTurnRate();
+      break;
+    default:
+      // Camera offsets
+      cameraRig.setOffsets({ [name]: value });
   }
 
-  const getRandom = (max, min) => {
-    return Math.floor(Math.random() * (max - min + 1) + min);
+  showSetting(name);
+
+}
+
+const setQuality = () => {
+
+  // Auto quality lowers the settings' graphics to hold the target frame rate, a preset keeps them
+  qualityMonitor = setupQualityMonitor({
+    targetFps:  userSettings.get('targetFps'),
+    ceiling:    getGraphicsCeiling(),
+    onChange:   applyGraphics
+  });
+  updateGraphics();
+
+}
+
+const getGraphicsCeiling = () => {
+
+  const preset = qualityPresets[userSettings.get('quality')];
+
+  return {
+    pixelRatio: Math.min(window.devicePixelRatio, (preset || qualityPresets.ultra).pixelRatio),
+    fogNear:    userSettings.get('fogNear'),
+    fogFar:     userSettings.get('fogFar'),
+    viewRadius: userSettings.get('viewRadius')
+  };
+
+}
+
+const updateGraphics = () => {
+
+  qualityMonitor.setCeiling(getGraphicsCeiling());
+  qualityMonitor.setEnabled(!qualityPresets[userSettings.get('quality')]);
+  applyGraphics(qualityMonitor.getLevels());
+
+}
+
+const applyGraphics = (levels) => {
+
+  renderer.setPixelRatio(levels.pixelRatio);
+  scene.fog.near  = levels.fogNear;
+  scene.fog.far   = levels.fogFar;
+  setViewRadius(levels.viewRadius);
+  applyTileSize();
+  showQualityStatus();
+
+}
+
+const applyTileSize = () => {
+
+  // A new tile size rebuilds the terrain, so it waits until the drone is landed and outside a race
+  if(userSettings.get('tileSize') * 2 === tileWidth) return;
+  if(!landed || flyingIn || replay || editing || race.isActive()) return;
+
+  setTileSize(userSettings.get('tileSize'));
+  showQualityStatus();
+
+}
+
+const showQualityStatus = () => {
+
+  const levels  = qualityMonitor.getLevels();
+  const gpu     = gpuTier.gpu ? ` (${gpuTier.gpu})` : '';
+  const pending = userSettings.get('tileSize') * 2 !== tileWidth ?
+    ` ${userSettings.get('tileSize')}-hex tiles once landed outside a race.` :
+    '';
+
+  document.querySelector('.quality-status').textContent =
+    `GPU tier ${gpuTier.tier}${gpu}${gpuTier.estimated ? ', estimated without benchmarks' : ''}. ` +
+    `Drawing at ${levels.pixelRatio}× resolution, fog ${levels.fogNear}–${levels.fogFar} m, ` +
+    `${tileWidth / 2}-hex tiles ${levels.viewRadius} ${levels.viewRadius === 1 ? 'ring' : 'rings'} out.${pending}`;
+
+}
+
+const setWind = () => {
+
+  windField = setupWindField({ getGroundHeight: getGroundHeight });
+
+  const strengthInput   = document.querySelector('.wind-strength-input');
+  const strengthValue   = document.querySelector('.wind-strength-value');
+  const directionSelect = document.querySelector('.wind-direction-select');
+  const wind            = windField.getWind();
+
+  // Blowing from one of the eight compass points, headings as on the OSD
+  ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'].forEach((point, index) => {
+    const option        = document.createElement('option');
+    option.value        = index * 45;
+    option.textContent  = point;
+    option.selected     = index * 45 === wind.direction;
+    directionSelect.appendChild(option);
+  });
+
+  const showStrength = () => strengthValue.textContent = `${strengthInput.value} m/s`;
+
+  strengthInput.min   = windLimits.min;
+  strengthInput.max   = windLimits.max;
+  strengthInput.value = wind.strength;
+  showStrength();
+
+  strengthInput.addEventListener('input', () => {
+    windField.setWind({ strength: Number(strengthInput.value) });
+    showStrength();
+  });
+  directionSelect.addEventListener('change', () => windField.setWind({ direction: Number(directionSelect.value) }));
+
+}
+
+const setBatteryPanel = () => {
+
+  const cellsSelect     = document.querySelector('.cells-select');
+  const capacityInput   = document.querySelector('.capacity-input');
+  const pack            = battery.getPack();
+
+  for(let cells = 3; cells <= 6; cells++) {
+    const option        = document.createElement('option');
+    option.value        = cells;
+    option.textContent  = `${cells}S`;
+    option.selected     = cells === pack.cells;
+    cellsSelect.appendChild(option);
+  }
+  capacityInput.value = pack.capacity;
+
+  // A different pack can only be fitted on the ground
+  const fitPack = (values) => {
+    if(armed) return;
+    battery.configure(values);
+    autoLanding = false;
+    flightTime  = 0;
   }
 
-  const cloudModels = await createClouds();
+  cellsSelect.addEventListener('change', () => fitPack({ cells: Number(cellsSelect.value) }));
+  capacityInput.addEventListener('change', () => {
+    const capacity = parseFloat(capacityInput.value);
+    if(capacity > 0) fitPack({ capacity: capacity });
+    else capacityInput.value = battery.getPack().capacity;
+  });
+  document.querySelector('.battery-replace')
+    .addEventListener('click', () => fitPack({}));
 
-  for(let i = 0; i < Math.floor(amountOfClouds / 2) * 2; i++) {
+}
 
-    let cloud;
+const setFpvCameraPanel = () => {
 
-    if(i < Math.floor(amountOfClouds / 2)) { // cloud-one
-      cloud = cloudModels[0].scene.clone();
-      cloud.scale.set(5.5, 5.5, 5.5);
-      cloud.rotation.y = cloud.rotation.z = -(Math.PI / 2);
-    }
-    else { // cloud-two
-      cloud = cloudModels[1].scene.clone();
-      cloud.scale.set(0.02, 0.02, 0.02);
-      cloud.rotation.y = cloud.rotation.z = 0;
-    }
+  const settings = fpvCamera.getSettings();
 
-    cloud.name = `cloud-${i}`
-    cloud.position.set(
-      getRandom(-20, 20),
-      getRandom(camY - 90, camY - 110), 
-      getRandom(camZ + 200, camZ + 320)
-    );
+  // Range inputs show their value next to them, fisheye as a percentage
+  const fields = [
+    { name: 'uptilt',   scale: 1,   unit: '°' },
+    { name: 'fov',      scale: 1,   unit: '°' },
+    { name: 'fisheye',  scale: 100, unit: '%' }
+  ];
 
-    scene.add(cloud);
-    clouds.push(cloud);
+  fields.forEach(field => {
+    const rangeInput  = document.querySelector(`.${field.name}-input`);
+    const valueLabel  = document.querySelector(`.${field.name}-value`);
+
+    const showValue = () => valueLabel.textContent = `${rangeInput.value}${field.unit}`;
+
+    rangeInput.value = Math.round(settings[field.name] * field.scale);
+    showValue();
+
+    rangeInput.addEventListener('input', () => {
+      fpvCamera.setSettings({ [field.name]: Number(rangeInput.value) / field.scale });
+      showValue();
+    });
+  });
+
+}
+
+const setOsd = () => {
+
+  osd         = setupOsd(document.querySelector('.osd'));
+  flightTime  = 0;
+  lastSticks  = { throttle: 0, yaw: 0, pitch: 0, roll: 0 };
+
+  renderOsdElements();
+
+  document.querySelector('.osd-reset')
+    .addEventListener('click', () => {
+      osd.resetElements();
+      renderOsdElements();
+    });
+
+}
+
+const renderOsdElements = () => {
+
+  const tbody     = document.querySelector('.osd-elements tbody');
+  const elements  = osd.getElements();
+  tbody.innerHTML = '';
+
+  Object.keys(elements).forEach(name => {
+
+    const row = document.createElement('tr');
+
+    const label = document.createElement('td');
+    label.textContent = elements[name].label;
+    row.appendChild(label);
+
+    const showCell          = document.createElement('td');
+    const checkbox          = document.createElement('input');
+    checkbox.type           = 'checkbox';
+    checkbox.checked        = elements[name].enabled;
+    checkbox.addEventListener('change', () => osd.setElement(name, { enabled: checkbox.checked }));
+    showCell.appendChild(checkbox);
+    row.appendChild(showCell);
+
+    // Column and row on the 30 x 16 OSD grid
+    ['x', 'y'].forEach(axis => {
+      const cell          = document.createElement('td');
+      const field         = document.createElement('input');
+      field.type          = 'number';
+      field.className     = 'osd-position';
+      field.min           = 0;
+      field.max           = axis === 'x' ? 30 : 16;
+      field.value         = elements[name][axis];
+      field.addEventListener('change', () => {
+        osd.setElement(name, { [axis]: Number(field.value) || 0 });
+        field.value = osd.getElements()[name][axis];
+      });
+      cell.appendChild(field);
+      row.appendChild(cell);
+    });
+
+    tbody.appendChild(row);
+
+  });
+
+}
+
+const updateOsd = () => {
+
+  const droneState    = dronePhysics.getState();
+  const attitude      = dronePhysics.getAttitude();
+  const batteryState  = battery.getState();
+
+  osd.update({
+    pitch:              attitude.pitch,
+    roll:               attitude.roll,
+    heightAboveGround:  heightAboveGround,
+    speed:              droneState.velocity.length(),
+    heading:            getHeading(attitude.yaw),
+    flightMode:         flightModes[flightController.getMode()].label,
+    voltage:            batteryState.voltage,
+    cellVoltage:        batteryState.cellVoltage,
+    batteryLevel:       batteryState.level,
+    flightTime:         replay ? replay.getTime() : flightTime,
+    throttle:           (lastSticks.throttle + 1) / 2,
+    warning:            replay ? 'Replay' : armed ? getBatteryWarning(batteryState.level) : 'Disarmed'
+  });
+
+}
+
+const setRecording = () => {
+
+  recorder  = setupFlightRecorder();
+  replay    = null;
+
+  // Follow the rig the flight was recorded with, or pick any rig, orbit being the free camera
+  const cameraSelect = document.querySelector('.replay-camera');
+  [['recorded', 'Recorded camera']]
+    .concat(Object.keys(cameraRigs).map(name => [name, cameraRigs[name].label]))
+    .forEach(([value, label]) => {
+      const option        = document.createElement('option');
+      option.value        = value;
+      option.textContent  = label;
+      cameraSelect.appendChild(option);
+    });
+
+  cameraSelect.addEventListener('change', () => {
+    if(cameraSelect.value !== 'recorded') setCameraRig(cameraSelect.value);
+  });
+
+  const fileInput = document.querySelector('.recording-file');
+  fileInput.addEventListener('change', () => {
+    if(fileInput.files.length) importRecording(fileInput.files[0]);
+    fileInput.value = ''; // Lets the same file be picked again
+  });
+
+  document.querySelector('.recording-toggle')
+    .addEventListener('click', () => toggleRecording());
+  document.querySelector('.recording-replay')
+    .addEventListener('click', () => startReplay(recorder.exportRecording()));
+  document.querySelector('.recording-export')
+    .addEventListener('click', () => exportRecording());
+  document.querySelector('.replay-play')
+    .addEventListener('click', () => replay.isPlaying() ? replay.pause() : replay.play());
+  document.querySelector('.replay-scrub')
+    .addEventListener('input', (event) => replay.seek(Number(event.target.value)));
+  document.querySelector('.replay-speed')
+    .addEventListener('change', (event) => replay.setSpeed(Number(event.target.value)));
+  document.querySelector('.replay-exit')
+    .addEventListener('click', () => exitReplay());
+
+  updateRecordingPanel();
+
+}
 
+const updateRecordingPanel = () => {
+
+  const recording = recorder.isRecording();
+  const canReplay = !recording && !replay && recorder.hasRecording();
+
+  document.querySelector('.recording-toggle').textContent = recording ? 'Stop' : 'Record';
+  document.querySelector('.recording-toggle').disabled    = !!replay;
+  document.querySelector('.recording-replay').disabled    = !canReplay;
+  document.querySelector('.recording-export').disabled    = !canReplay;
+  document.querySelector('.hud-recording').classList.toggle('hud-recording-shown', recording);
+
+}
+
+const setRecordingStatus = (text) => {
+
+  document.querySelector('.recording-status').textContent = text;
+
+}
+
+const getHeading = (yaw) => (360 - THREE.MathUtils.radToDeg(yaw) % 360) % 360; // Degrees clockwise from +Z
+
+const setTelemetry = () => {
+
+  telemetry = setupTelemetryLogger();
+
+  const rateSelect = document.querySelector('.log-rate-select');
+  logRates.forEach(rate => {
+    const option        = document.createElement('option');
+    option.value        = rate;
+    option.textContent  = `${rate} Hz`;
+    option.selected     = rate === telemetry.getRate();
+    rateSelect.appendChild(option);
+  });
+
+  rateSelect.addEventListener('change', () => telemetry.setRate(Number(rateSelect.value)));
+  document.querySelector('.log-toggle')
+    .addEventListener('click', () => toggleTelemetry());
+  document.querySelector('.log-export')
+    .addEventListener('click', () => downloadFile(`quad-tok-blackbox-${getFileTimestamp()}.csv`, 'text/csv', telemetry.toCsv()));
+
+}
+
+const toggleTelemetry = () => {
+
+  if(telemetry.isLogging()) {
+    telemetry.stop();
+    const rows = telemetry.getRowCount();
+    document.querySelector('.log-status').textContent = `${rows} samples, ${(rows / telemetry.getRate()).toFixed(1)} s`;
+  }
+  else {
+    telemetry.start();
+    document.querySelector('.log-status').textContent = 'Logging, close the settings and fly';
   }
 
-  return;
+  const logging = telemetry.isLogging();
+  document.querySelector('.log-toggle').textContent = logging ? 'Stop log' : 'Start log';
+  document.querySelector('.log-rate-select').disabled = logging;
+  document.querySelector('.log-export').disabled      = logging || !telemetry.hasLog();
+  document.querySelector('.hud-logging').classList.toggle('hud-logging-shown', logging);
+
+}
+
+const logTelemetry = () => {
+
+  // Only live flights are logged, not replays
+  if(!telemetry.isLogging() || replay) return;
+
+  const droneState    = dronePhysics.getState();
+  const attitude      = dronePhysics.getAttitude();
+  const batteryState  = battery.getState();
+
+  telemetry.record({
+    sticks:             lastSticks,
+    angularVelocity:    droneState.angularVelocity,
+    attitude:           attitude,
+    heading:            getHeading(attitude.yaw),
+    heightAboveGround:  heightAboveGround,
+    speed:              droneState.velocity.length(),
+    motorOutputs:       droneState.motorOutputs,
+    voltage:            batteryState.voltage,
+    current:            batteryState.current,
+    used:               batteryState.used,
+    flightMode:         flightModes[flightController.getMode()]
+  });
+
+}
+
+const setRace = () => {
+
+  race          = setupRace(scene, { getGroundHeight: getGroundHeight });
+  racePosition  = new THREE.Vector3();
+  ghostRace     = setupGhostRace(scene, { model: character });
+
+  const courseInput = document.querySelector('.course-input');
+  const gatesInput  = document.querySelector('.gates-input');
+  const lapsInput   = document.querySelector('.laps-input');
+
+  courseInput.addEventListener('change', () => showCourseRecord());
+  document.querySelector('.race-start')
+    .addEventListener('click', () => startRace(courseInput.value));
+  document.querySelector('.race-new')
+    .addEventListener('click', () => {
+      courseInput.value = createCourseCode(worldSeed, biome, {
+        gateCount:  THREE.MathUtils.clamp(Math.round(Number(gatesInput.value)) || 8, gateLimits.min, gateLimits.max),
+        laps:       THREE.MathUtils.clamp(Math.round(Number(lapsInput.value)) || 3, lapLimits.min, lapLimits.max)
+      });
+      showCourseRecord();
+    });
+  document.querySelector('.race-leave')
+    .addEventListener('click', () => leaveRace());
+  document.querySelector('.race-again')
+    .addEventListener('click', () => {
+      const { details, layout } = race.getCourse();
+      runRace(details, layout, false);
+    });
+  document.querySelector('.race-close')
+    .addEventListener('click', () => leaveRace());
+  document.querySelector('.ghost-export')
+    .addEventListener('click', () => exportGhost());
+
+  const ghostInput = document.querySelector('.ghost-file');
+  ghostInput.addEventListener('change', () => {
+    if(ghostInput.files.length) importGhost(ghostInput.files[0]);
+    ghostInput.value = '';
+  });
+
+}
+
+const showCourseRecord = () => {
+
+  const course    = parseCourseCode(document.querySelector('.course-input').value, Object.keys(biomes));
+  const record    = course && race.getRecord(course.code);
+  const ghostTime = course && ghostRace.getGhostTime(course.code);
+
+  setRaceStatus(
+    (!course ? 'Not a course code, they look like K7Q2-8-3-temperate-4821'
+    : record ? `Your best: ${formatRaceTime(record.total)}, best lap ${formatRaceTime(record.lap)}`
+    : `${course.gateCount} gates, ${course.laps} laps, not raced yet`)
+    + (ghostTime ? `. Ghost to beat: ${formatRaceTime(ghostTime)}` : '')
+  );
+
+}
+
+const setRaceStatus = (text) => {
+
+  document.querySelector('.race-status').textContent = text;
+
+}
+
+const setTrackEditor = () => {
+
+  trackEditor = setupTrackEditor(scene, {
+    getColumnTop:     (tileX, tileY) => getColumnTop(simplex, biomes[biome], tileX, tileY),
+    tileToPosition:   tileToPosition,
+    getGroundHeight:  getGroundHeight
+  });
+  editing     = false;
+  editorFocus = new THREE.Vector3();
+
+  document.querySelectorAll('.editor-tool').forEach(button => {
+    button.addEventListener('click', () => {
+      trackEditor.setTool(button.dataset.tool);
+      updateEditorBar();
+    });
+  });
+  document.querySelectorAll('.editor-rotate').forEach(button => {
+    button.addEventListener('click', () => trackEditor.rotateSelected(THREE.MathUtils.degToRad(Number(button.dataset.angle))));
+  });
+  document.querySelectorAll('.editor-raise').forEach(button => {
+    button.addEventListener('click', () => trackEditor.raiseSelected(Number(button.dataset.amount)));
+  });
+
+  const fileInput = document.querySelector('.track-file');
+  fileInput.addEventListener('change', () => {
+    if(fileInput.files.length) importTrack(fileInput.files[0]);
+    fileInput.value = '';
+  });
+
+  document.querySelector('.editor-open')
+    .addEventListener('click', () => enterEditor());
+  document.querySelector('.editor-race')
+    .addEventListener('click', () => raceTrack());
+  document.querySelector('.editor-save')
+    .addEventListener('click', () => exportTrack());
+  document.querySelector('.editor-clear')
+    .addEventListener('click', () => {
+      trackEditor.clear();
+      updateEditorBar();
+    });
+  document.querySelector('.editor-exit')
+    .addEventListener('click', () => exitEditor());
+
+}
+
+const setSkyColor = () => {
+
+  scene.background.setHex(biomes[biome].sky);
+  scene.fog.color.setHex(biomes[biome].sky);
+
+}
+
+const setBiome = (name) => {
+
+  // A replay shows the world it was recorded in
+  if(!biomes[name] || name === biome || replay) return;
+
+  // The gates were placed for the old terrain
+  if(race.isActive()) leaveRace();
+
+  biome = name;
+  saveBiomeName(biome);
+  setSkyColor();
+
+  // Regenerate every tile with the new biome around the same spot
+  regenerateTerrain(activeTile);
+  trackEditor.refresh();
+
+}
+
+const setTileSize = (size) => {
+
+  if(size * 2 === tileWidth) return;
+
+  // Tiles are named by their corner, so every tile is built again on the new grid around the drone
+  tileWidth         = size * 2;
+  amountOfHexInTile = Math.pow(tileWidth + 1, 2);
+  regenerateTerrain(getTileNameAt(dronePhysics.getState().position));
+
+}
+
+const showWorld = (seed, name, position) => {
+
+  // Not saved, the pilot's own seed and biome come back after the replay
+  showTilesAround(position, switchWorld(seed, name));
+
+}
+
+const switchWorld = (seed, name) => {
+
+  if(seed === worldSeed && (name === biome || !biomes[name])) return false;
+
+  worldSeed = seed;
+  simplex   = getTerrainNoise(worldSeed);
+  if(biomes[name]) biome = name;
+  document.querySelector('.biome-select').value = biome;
+  setSkyColor();
+  trackEditor.refresh();
+
+  return true;
+
+}
+
+const useWorld = (seed, name) => {
+
+  // Like picking the seed and biome in the settings, without reloading
+  const regenerate = switchWorld(seed, name);
+  saveWorldSeed(worldSeed);
+  saveBiomeName(biome);
+  document.querySelector('.seed-input').value = worldSeed;
+
+  return regenerate;
+
+}
+
+const showTilesAround = (position, regenerate) => {
+
+  const tileName = getTileNameAt(position);
+
+  // In the same world only the tiles around the position are needed
+  if(regenerate) regenerateTerrain(tileName);
+  else createSurroundingTiles(tileName);
+
+}
+
+const regenerateTerrain = (tileName) => {
+
+  terrainTiles.forEach(tile => removeTile(tile));
+
+  terrainTiles  = [];
+  buildingTiles = []; // Tiles still on their way belong to the old terrain
+  tileCache     = {};
+  tileWorkers.cancelQueued(() => true);
+
+  const tileCoords = JSON.parse(tileName);
+  centerTile = {
+    xFrom:  tileCoords.x,
+    xTo:    tileCoords.x + tileWidth,
+    yFrom:  tileCoords.y,
+    yTo:    tileCoords.y + tileWidth
+  };
+  createTile();
+  createSurroundingTiles(tileName);
+
+}
+
+const setGamepad = () => {
+
+  gamepadInput = setupGamepadInput({
+    onChange: () => updateGamepadStatus()
+  });
+
+  updateGamepadStatus();
+
+}
+
+const updateGamepadStatus = () => {
+
+  const name = gamepadInput.getName();
+
+  document.querySelector('.gamepad-status').textContent = 
+    gamepadInput.isCalibrating()
+      ? 'Move every stick to its limits, then release the sticks and press Save.'
+      : name
+      ? `Controller: ${name}`
+      : 'No controller connected. Press a button on your gamepad or transmitter.';
+
+  document.querySelector('.gamepad-calibrate').textContent = gamepadInput.isCalibrating() ? 'Save' : 'Calibrate';
+  document.querySelector('.gamepad-calibrate').disabled = !name;
+  document.querySelector('.gamepad-reset').disabled = !name || gamepadInput.isCalibrating();
+
+  renderGamepadChannels();
+
+}
+
+const renderGamepadChannels = () => {
+
+  const table     = document.querySelector('.gamepad-channels');
+  const tbody     = table.querySelector('tbody');
+  const channels  = gamepadInput.getChannels();
+  tbody.innerHTML = '';
+
+  table.classList.toggle('gamepad-channels-shown', !!channels);
+  if(!channels) return;
+
+  channelNames.forEach(name => {
+
+    const row = document.createElement('tr');
+
+    const label = document.createElement('td');
+    label.textContent = name.charAt(0).toUpperCase() + name.slice(1);
+    row.appendChild(label);
+
+    // Any axis the controller reports, for transmitters that do not send AETR channel order
+    const axisCell          = document.createElement('td');
+    const select            = document.createElement('select');
+    for(let axis = 0; axis < gamepadInput.getAxisCount(); axis++) {
+      const option        = document.createElement('option');
+      option.value        = axis;
+      option.textContent  = `Axis ${axis + 1}`;
+      option.selected     = channels[name].axis === axis;
+      select.appendChild(option);
+    }
+    select.addEventListener('change', () => gamepadInput.setChannel(name, { axis: Number(select.value) }));
+    axisCell.appendChild(select);
+    row.appendChild(axisCell);
+
+    // Deadzone and expo as a fraction of stick travel, stored with the calibration
+    ['deadzone', 'expo'].forEach(key => {
+      const cell          = document.createElement('td');
+      const slider        = document.createElement('input');
+      const value         = document.createElement('span');
+      slider.type         = 'range';
+      slider.className    = 'range-input';
+      slider.min          = channelLimits[key].min;
+      slider.max          = channelLimits[key].max;
+      slider.step         = channelLimits[key].step;
+      slider.value        = channels[name][key];
+      value.className     = 'range-value';
+      value.textContent   = ` ${Math.round(channels[name][key] * 100)}%`;
+      slider.addEventListener('input', () => {
+        gamepadInput.setChannel(name, { [key]: Number(slider.value) });
+        value.textContent = ` ${Math.round(gamepadInput.getChannels()[name][key] * 100)}%`;
+      });
+      cell.appendChild(slider);
+      cell.appendChild(value);
+      row.appendChild(cell);
+    });
+
+    const invertCell        = document.createElement('td');
+    const checkbox          = document.createElement('input');
+    checkbox.type           = 'checkbox';
+    checkbox.checked        = channels[name].invert;
+    checkbox.addEventListener('change', () => gamepadInput.setChannel(name, { invert: checkbox.checked }));
+    invertCell.appendChild(checkbox);
+    row.appendChild(invertCell);
+
+    tbody.appendChild(row);
+
+  });
+
+}
+
+const toggleGamepadCalibration = () => {
+
+  if(gamepadInput.isCalibrating()) gamepadInput.finishCalibration();
+  else gamepadInput.startCalibration();
+
+  updateGamepadStatus();
+
+}
+
+const setInput = () => {
+
+  input = setupInput({ gamepadInput: gamepadInput });
+
+  input.on('toggleSpeed', () => toggleDoubleSpeed());
+  input.on('toggleCamera', () => cycleCameraRig());
+  input.on('cycleFlightMode', () => cycleFlightMode());
+  input.on('arm', () => toggleArm());
+  input.on('respawn', () => respawn());
+
+  renderBindings();
+
+}
+
+const renderBindings = () => {
+
+  const tbody = document.querySelector('.bindings tbody');
+  tbody.innerHTML = '';
+
+  Object.keys(actions).forEach(action => {
+
+    const row = document.createElement('tr');
+
+    const label = document.createElement('td');
+    label.textContent = actions[action].label;
+    row.appendChild(label);
+
+    // Keyboard and gamepad bindings are captured from the next press
+    ['keyboard', 'gamepad'].forEach(source => {
+      const cell    = document.createElement('td');
+      const button  = document.createElement('button');
+      button.className    = 'settings-button binding';
+      button.textContent  = input.describe(source, action);
+      button.addEventListener('click', () => {
+        button.textContent = source === 'keyboard' ? 'Press a key' : 'Press a button';
+        input.captureBinding(source, action, () => renderBindings());
+      });
+      cell.appendChild(button);
+      row.appendChild(cell);
+    });
+
+    // Touch bindings are a joystick direction, only meaningful for stick actions
+    const touchCell = document.createElement('td');
+    if(actions[action].type === 'axis') {
+      const select = document.createElement('select');
+      select.className = 'binding';
+      ['', ...touchDirections].forEach(direction => {
+        const option        = document.createElement('option');
+        option.value        = direction;
+        option.textContent  = direction || '—';
+        option.selected     = input.getBindings().touch[action] === direction || (!direction && !input.getBindings().touch[action]);
+        select.appendChild(option);
+      });
+      select.addEventListener('change', () => input.setBinding('touch', action, select.value || null));
+      touchCell.appendChild(select);
+    }
+    row.appendChild(touchCell);
+
+    tbody.appendChild(row);
+
+  });
+
+}
+
+const setFog = () => {
+
+  THREE.ShaderChunk.fog_pars_vertex += `
+    #ifdef USE_FOG
+      varying vec3 vWorldPosition;
+    #endif
+  `;
+
+  THREE.ShaderChunk.fog_vertex += `
+    #ifdef USE_FOG
+      vec4 worldPosition = projectionMatrix * modelMatrix * vec4(position, 1.0);
+      vWorldPosition = worldPosition.xyz;
+    #endif
+  `;
+
+  THREE.ShaderChunk.fog_pars_fragment += `
+    #ifdef USE_FOG
+      varying vec3 vWorldPosition;
+      float fogHeight = 10.0;
+    #endif
+  `;
+
+  const FOG_APPLIED_LINE = 'gl_FragColor.rgb = mix( gl_FragColor.rgb, fogColor, fogFactor );';
+  THREE.ShaderChunk.fog_fragment = THREE.ShaderChunk.fog_fragment.replace(FOG_APPLIED_LINE, `
+    float heightStep = smoothstep(fogHeight, 0.0, vWorldPosition.y);
+    float fogFactorHeight = smoothstep( fogNear * 0.7, fogFar, vFogDepth );
+    float fogFactorMergeHeight = fogFactorHeight * heightStep;
+    
+    gl_FragColor.rgb = mix( gl_FragColor.rgb, fogColor, fogFactorMergeHeight );
+    ${FOG_APPLIED_LINE}
+  `);
+
+  // Fog distances default by GPU tier, see user-settings.js, and are lowered in auto quality
+  scene.fog = new THREE.Fog(0xf5e6d3, userSettings.get('fogNear'), userSettings.get('fogFar'));
+
+}
+
+const setRaycast = () => {
+
+  THREE.BufferGeometry.prototype.computeBoundsTree  = computeBoundsTree;
+  THREE.BufferGeometry.prototype.disposeBoundsTree  = disposeBoundsTree;
+  THREE.Mesh.prototype.raycast                      = acceleratedRaycast;
+
+  raycaster = new THREE.Raycaster();
+  raycaster.firstHitOnly = true;
+
+}
+
+const setTerrainValues = () => {
+
+  // Tile size defaults by GPU tier, see user-settings.js
+  const centerTileFromTo = userSettings.get('tileSize');
+
+  centerTile = {
+    xFrom:  -centerTileFromTo,
+    xTo:    centerTileFromTo,
+    yFrom:  -centerTileFromTo,
+    yTo:    centerTileFromTo
+  };
+  tileWidth             = centerTileFromTo * 2; // diff between xFrom - xTo (not accounting for 0)
+  amountOfHexInTile     = Math.pow((centerTile.xTo + 1) - centerTile.xFrom, 2); // +1 accounts for 0
+  worldSeed             = getWorldSeed();
+  simplex               = getTerrainNoise(worldSeed);
+  biome                 = getBiomeName();
+  setSkyColor();
+  terrainTiles      = [];
+  buildingTiles     = [];
+  tileCache         = {};
+  tileQueue         = [];
+  tileWorkers       = setupTileWorkers();
+  lodCentre         = new THREE.Vector3();
+  obstacleGrid      = new Map();
+  
+}
+
+const setClouds = async () => {
+
+  clouds                = []
+  const amountOfClouds  = 10;
+
+  const createClouds = async () => {
+    
+    const cloudModels     = [];
+    const cloudModelPaths = [
+      'assets/clouds/cloud-one/scene.gltf',
+      'assets/clouds/cloud-two/scene.gltf'
+    ];
+  
+    for(let i = 0; i < cloudModelPaths.length; i++)
+      cloudModels[i] = await gltfLoader.loadAsync(cloudModelPaths[i]);
+
+    return cloudModels;
+
+  }
+
+  const getRandom = (max, min) => {
+    return Math.floor(Math.random() * (max - min + 1) + min);
+  }
+
+  const cloudModels = await createClouds();
+
+  for(let i = 0; i < Math.floor(amountOfClouds / 2) * 2; i++) {
+
+    let cloud;
+
+    if(i < Math.floor(amountOfClouds / 2)) { // cloud-one
+      cloud = cloudModels[0].scene.clone();
+      cloud.scale.set(5.5, 5.5, 5.5);
+      cloud.rotation.y = cloud.rotation.z = -(Math.PI / 2);
+    }
+    else { // cloud-two
+      cloud = cloudModels[1].scene.clone();
+      cloud.scale.set(0.02, 0.02, 0.02);
+      cloud.rotation.y = cloud.rotation.z = 0;
+    }
+
+    cloud.name = `cloud-${i}`
+    cloud.position.set(
+      getRandom(-20, 20),
+      getRandom(camY - 90, camY - 110), 
+      getRandom(camZ + 200, camZ + 320)
+    );
+
+    scene.add(cloud);
+    clouds.push(cloud);
+
+  }
+
+  return;
+
+}
+
+const animateClouds = () => {
+
+  for(let i = 0; i < clouds.length; i++)
+    clouds[i].position.x = 
+    clouds[i].position.x < 0 
+      ? clouds[i].position.x - (clock.getElapsedTime() * 0.04) 
+      : clouds[i].position.x + (clock.getElapsedTime() * 0.04);
+
+}
+
+const cleanUpClouds = () => {
+
+  flyingIn = false;
+  playMusic();
+
+  for(let i = 0; i < clouds.length; i++) {
+    const cloud = scene.getObjectByProperty('name', `cloud-${i}`);
+    cleanUp(cloud);
+  }
+
+  clouds = undefined;
+
+}
+
+const setCharacter = async () => {
+
+  // Load drone model instead of bird
+  const model = await gltfLoader.loadAsync('assets/drone/scene.gltf');
+  
+  character = model.scene;
+
+  // Position and scale the drone appropriately
+  character.scale.set(0.5, 0.5, 0.5); // Increased scale by 10x from 0.05
+  character.rotation.order = 'YXZ'; // Heading first, then pitch and roll from the flight model
+  character.rotation.y = Math.PI; // Adjust if the drone is not facing forward
+  
+  // Set up drone-specific properties
+  updateTurnRate();
+  
+  // Import the drone animation modules
+  const animations = await import('./assets/drone/drone-animations.js');
+  
+  // Initialize drone animations
+  propellerAnimation = animations.setupPropellerAnimation(character);
+  droneTilt = animations.setupDroneTilt(character);
+  
+  // Rigid-body flight model and the controller that drives its motors
+  dronePhysics = setupDronePhysics(character, {
+    getGroundHeight:  getGroundHeight,
+    getWind:          (position, target) => windField.sample(position, target)
+  });
+  flightController = setupFlightController(dronePhysics);
+  updateFlightModeLabel();
+  
+  // LiPo pack that powers the motors
+  battery = setupBattery();
+  autoLanding = false;
+  
+  // Collisions against hex columns and trees, using the BVH of the drone body
+  droneCollision = setupDroneCollision(character, {
+    getColumnTop:   (tileX, tileY) => getColumnTop(simplex, biomes[biome], tileX, tileY),
+    positionToTile: positionToTile,
+    tileToPosition: tileToPosition,
+    getObstacles:   (sphere) => getObstaclesNear(sphere)
+  });
+  crashed = false;
+  
+  // Wait on the launch hex, disarmed, for the pilot to take off
+  armed = false;
+  placeOnHex(positionToTile(0, 0));
+  updateArmLabel();
+  scene.add(character);
+
+  return;
+}
+
+const setGrass = async () => {
+
+  grassMeshes           = {};
+  const model           = await gltfLoader.loadAsync('assets/grass/scene.gltf');
+  const grassMeshNames  = [
+    {
+      varName:  'grassMeshOne',
+      meshName: 'Circle015_Grass_0'
+    },
+    {
+      varName:  'grassMeshTwo',
+      meshName: 'Circle018_Grass_0'
+    }
+  ];
+
+  for(let i = 0; i < grassMeshNames.length; i++) {
+    const mesh  = model.scene.getObjectByName(grassMeshNames[i].meshName);
+    const geo   = mesh.geometry.clone();
+    const mat   = mesh.material.clone();
+    grassMeshes[grassMeshNames[i].varName] = new THREE.InstancedMesh(geo, mat, Math.floor(amountOfHexInTile / 40));
+  }
+
+  return;
+
+}
+
+const setTrees = async () => {
+
+  treeMeshes          = {};
+  const treeMeshNames = [
+    {
+      varName:    'treeMeshOne',
+      modelPath:  'assets/trees/pine/scene.gltf',
+      meshName:   'Object_4'
+    },
+    {
+      varName:    'treeMeshTwo',
+      modelPath:  'assets/trees/twisted-branches/scene.gltf',
+      meshName:   'Tree_winding_01_Material_0'
+    }
+  ];
+
+  for(let i = 0; i < treeMeshNames.length; i++) {
+    const model  = await gltfLoader.loadAsync(treeMeshNames[i].modelPath);
+    const mesh  = model.scene.getObjectByName(treeMeshNames[i].meshName);
+    const geo   = mesh.geometry.clone();
+    const mat   = mesh.material.clone();
+    treeMeshes[treeMeshNames[i].varName] = new THREE.InstancedMesh(geo, mat, Math.floor(amountOfHexInTile / 45));
+  }
+
+  return;
+
+}
+
+const setCam = () => {
+
+  doubleSpeed   = false;
+  fpvCamera     = setupFpvCamera(renderer, camera);
+  cameraRig     = setupCameraRigs(camera, {
+    getDrone: () => {
+      // The editor camera follows a point moved around the map instead of the drone
+      if(editing) return { position: editorFocus, quaternion: character.quaternion, yaw: 0 };
+      const droneState = dronePhysics.getState();
+      return { position: droneState.position, quaternion: droneState.quaternion, yaw: dronePhysics.getAttitude().yaw };
+    },
+    getGroundHeight:  getGroundHeight,
+    isPilotActive:    () => input.anyActive(),
+    fpvCamera:        fpvCamera,
+    domElement:       document.getElementById('zone-joystick'),
+    offsets:          {
+      chaseHeight:    userSettings.get('chaseHeight'),
+      chaseDistance:  userSettings.get('chaseDistance'),
+      topDownHeight:  userSettings.get('topDownHeight')
+    }
+  });
+
+  // Swoop in from where the camera starts, the clouds part once it arrives
+  cameraRig.playIntro(camY, camZ, () => cleanUpClouds());
+  updateCameraRigLabel();
+
+  setFpvCameraPanel();
+
+}
+
+const createSurroundingTiles = (newActiveTile) => {
+
+  centerTile = getTileFromName(newActiveTile);
+
+  // Every tile within the view radius, built a tile a frame by loadQueuedTiles
+  const direction = getViewDirection();
+  tileQueue = getTileOffsets(viewRadius, direction)
+    .map(offset => ({
+      xFrom:  centerTile.xFrom + offset.x * tileWidth,
+      xTo:    centerTile.xTo + offset.x * tileWidth,
+      yFrom:  centerTile.yFrom + offset.y * tileWidth,
+      yTo:    centerTile.yTo + offset.y * tileWidth
+    }))
+    .filter(tile => !terrainTiles.some(el => el.name === getTileName(tile)));
+
+  cleanUpTiles();
+  prefetchTiles();
+
+  activeTile = newActiveTile;
+
+}
+
+const getTileOffsets = (radius, direction) => {
+
+  const offsets = [];
+
+  for(let x = -radius; x <= radius; x++) {
+    for(let y = -radius; y <= radius; y++) {
+      // Tile columns run along x and rows along z, near enough the same width
+      const distance  = Math.hypot(x, y);
+      const ahead     = distance ? (x * direction.x + y * direction.z) / distance : 0;
+      offsets.push({ x: x, y: y, priority: distance * (1 - ahead * 0.4) });
+    }
+  }
+
+  // Nearest first, and of tiles about as near those ahead before those behind
+  return offsets.sort((a, b) => a.priority - b.priority);
+
+}
+
+const getViewDirection = () => {
+
+  // The way the drone faces, or the editor camera looks, along the ground
+  const direction = editing ?
+    new THREE.Vector3().subVectors(editorFocus, camera.position) :
+    character.getWorldDirection(new THREE.Vector3());
+
+  return direction.setY(0).normalize();
+
+}
+
+const loadQueuedTiles = () => {
+
+  // One a frame, so tiles that are already generated do not all upload at once
+  if(tileQueue.length) createTile(tileQueue.shift());
+
+}
+
+const setViewRadius = (radius) => {
+
+  if(radius === viewRadius) return;
+
+  viewRadius = radius;
+  if(activeTile) createSurroundingTiles(activeTile);
+
+}
+
+const getGroundHeight = (x, z) => {
+
+  const tile = positionToTile(x, z);
+  return getColumnTop(simplex, biomes[biome], tile.x, tile.y);
+
+}
+
+const getTileName = (tile) => JSON.stringify({ x: tile.xFrom, y: tile.yFrom });
+
+const getTileFromName = (tileName) => {
+
+  const tileCoords = JSON.parse(tileName);
+
+  return {
+    xFrom:  tileCoords.x,
+    xTo:    tileCoords.x + tileWidth,
+    yFrom:  tileCoords.y,
+    yTo:    tileCoords.y + tileWidth
+  };
+
+}
+
+const getTileNameAt = (position) => {
+
+  // Tiles are centred on multiples of the tile width in hex coordinates
+  const hex = positionToTile(position.x, position.z);
+
+  return getTileName({
+    xFrom:  Math.round(hex.x / tileWidth) * tileWidth - tileWidth / 2,
+    yFrom:  Math.round(hex.y / tileWidth) * tileWidth - tileWidth / 2
+  });
+
+}
+
+const isTileInRange = (tile, ring) => {
+
+  return !(
+    tile.xFrom < centerTile.xFrom - tileWidth * ring ||
+    tile.xTo > centerTile.xTo + tileWidth * ring ||
+    tile.yFrom < centerTile.yFrom - tileWidth * ring ||
+    tile.yTo > centerTile.yTo + tileWidth * ring
+  );
+
+}
+
+const fetchTile = (tile, lod) => {
+
+  const tileName  = getTileName(tile);
+  const cache     = tileCache[tileName] = tileCache[tileName] || {};
+
+  // Generated once per level in a worker and kept until the tile leaves the pre-fetch ring
+  if(!cache[lod]) {
+    cache[lod] = tileWorkers.generate({
+      seed:           worldSeed,
+      xFrom:          tile.xFrom,
+      xTo:            tile.xTo,
+      yFrom:          tile.yFrom,
+      yTo:            tile.yTo,
+      biome:          biomes[biome],
+      grassCapacity:  Math.floor(amountOfHexInTile / 40),
+      treeCapacity:   Math.floor(amountOfHexInTile / 45),
+      step:           lodLevels[lod].step,
+      foliageTypes:   lodLevels[lod].foliageTypes
+    });
+    cache[lod].catch(() => delete cache[lod]);
+  }
+
+  return cache[lod];
+
+}
+
+const createTile = (tile = Object.assign({}, centerTile)) => {
+
+  const tileName  = getTileName(tile);
+  const existing  = terrainTiles.find(el => el.name === tileName);
+  const lod       = getTileLod(tile);
+  const buildName = `${tileName}:${lod}`;
+  const building  = buildingTiles; // Replaced when the terrain is regenerated
+
+  if(existing && existing.lod === lod) return Promise.resolve(); // Returns if tile already exists at this level
+  if(buildingTiles.includes(buildName)) return Promise.resolve(); // Returns if tile is on its way
+
+  buildingTiles.push(buildName);
+
+  return fetchTile(tile, lod)
+    .then(data => {
+      // Skip tiles the drone has flown away from, or of a terrain regenerated, while they were generated,
+      // and levels the tile no longer wants
+      if(building === buildingTiles && isTileInRange(tile, viewRadius) && getTileLod(tile) === lod) uploadTile(tileName, data, lod);
+    })
+    .catch(error => {
+      // Tiles left behind are cancelled on purpose, only real failures are reported
+      if(!error.cancelled) console.error(`Could not generate tile ${tileName}`, error);
+    })
+    .finally(() => building.splice(building.indexOf(buildName), 1));
+
+}
+
+const uploadTile = (tileName, data, lod) => {
+
+  // The main thread only wraps the finished buffers, the worker did the rest
+  const setInstances = (mesh, matrices, count) => {
+    mesh.name           = tileName;
+    mesh.instanceMatrix = new THREE.InstancedBufferAttribute(matrices, 16);
+    mesh.count          = count;
+    mesh.boundingSphere = null;
+    return mesh;
+  }
+
+  const geo = new THREE.CylinderGeometry(1, 1, 1, 6, 1, false);
+  const mat = new THREE.MeshStandardMaterial();
+  const hex = setInstances(new THREE.InstancedMesh(geo, mat, data.hexCount), data.hexMatrices, data.hexCount);
+  hex.instanceColor = new THREE.InstancedBufferAttribute(data.hexColors, 3);
+  hex.castShadow    = true;
+  hex.receiveShadow = true;
+  geo.computeBoundsTree();
+
+  const grassOne  = setInstances(grassMeshes.grassMeshOne.clone(), data.foliage.grassOne.matrices, data.foliage.grassOne.count);
+  const grassTwo  = setInstances(grassMeshes.grassMeshTwo.clone(), data.foliage.grassTwo.matrices, data.foliage.grassTwo.count);
+  const treeOne   = setInstances(treeMeshes.treeMeshOne.clone(), data.foliage.treeOne.matrices, data.foliage.treeOne.count);
+  const treeTwo   = setInstances(treeMeshes.treeMeshTwo.clone(), data.foliage.treeTwo.matrices, data.foliage.treeTwo.count);
+
+  const tile = {
+    name:       tileName,
+    bounds:     getTileFromName(tileName),
+    lod:        lod,
+    hex:        hex,
+    grass:      [grassOne, grassTwo],
+    trees:      [treeOne, treeTwo],
+    treeBoxes:  getInstanceBoxes(treeOne).concat(getInstanceBoxes(treeTwo))
+  };
+
+  // A tile changing level fades the new one in over the old, on copies of the materials the foliage shares
+  const previous = terrainTiles.find(el => el.name === tileName);
+  if(previous) {
+    finishTileFade(previous);
+    terrainTiles.splice(terrainTiles.indexOf(previous), 1);
+
+    tile.fading = { previous: previous, time: 0 };
+    getTileMeshes(tile).forEach(mesh => {
+      mesh.userData.material    = mesh.material;
+      mesh.material             = mesh.material.clone();
+      mesh.material.transparent = true;
+      mesh.material.opacity     = 0;
+    });
+  }
+
+  terrainTiles.push(tile);
+  addObstacles(tile.treeBoxes);
+  scene.add(hex, grassOne, grassTwo, treeOne, treeTwo);
+
+}
+
+const getTileMeshes = (tile) => [tile.hex, ...tile.grass, ...tile.trees];
+
+const updateTileLods = (position) => {
+
+  // Levels are only looked at again a few metres on, or over another tile
+  if(lodTile === activeTile && lodCentre.distanceTo(position) < 4) return;
+
+  lodCentre.copy(position);
+  lodTile = activeTile;
+
+  // Tiles build their new level in the background and swap when it is ready
+  terrainTiles.forEach(el => {
+    if(getLodLevel(getTileDistance(el.bounds, lodCentre), el.lod) !== el.lod) createTile(el.bounds);
+  });
+
+}
+
+const getTileLod = (tile) => {
+
+  // Level of detail by distance from the view, tiles already built holding theirs a little longer
+  const existing = terrainTiles.find(el => el.name === getTileName(tile));
+
+  return getLodLevel(getTileDistance(tile, lodCentre), existing && existing.lod);
+
+}
+
+const updateTileFades = (delta) => {
+
+  terrainTiles.forEach(tile => {
+    if(!tile.fading) return;
+
+    tile.fading.time += delta;
+    const fade = Math.min(tile.fading.time / lodFadeTime, 1);
+
+    getTileMeshes(tile).forEach(mesh => mesh.material.opacity = mesh.userData.material.opacity * fade);
+    if(fade === 1) finishTileFade(tile);
+  });
+
+}
+
+const finishTileFade = (tile) => {
+
+  if(!tile.fading) return;
+
+  // Back on the shared materials, and the old level goes
+  getTileMeshes(tile).forEach(mesh => {
+    mesh.material.dispose();
+    mesh.material = mesh.userData.material;
+  });
+  removeTile(tile.fading.previous);
+  delete tile.fading;
+
+}
+
+const removeTile = (tile) => {
+
+  finishTileFade(tile);
+  removeObstacles(tile.treeBoxes);
+  getTileMeshes(tile).forEach(mesh => cleanUp(mesh));
+
+}
+
+const getObstacleCells = (box) => {
+
+  // Obstacles are hashed on a 4 m grid, a box going in every cell it overlaps
+  const cells = [];
+
+  for(let x = Math.floor(box.min.x / 4); x <= Math.floor(box.max.x / 4); x++) {
+    for(let z = Math.floor(box.min.z / 4); z <= Math.floor(box.max.z / 4); z++) cells.push(`${x},${z}`);
+  }
+
+  return cells;
+
+}
+
+const addObstacles = (boxes) => {
+
+  boxes.forEach(box => getObstacleCells(box).forEach(cell => {
+    if(!obstacleGrid.has(cell)) obstacleGrid.set(cell, []);
+    obstacleGrid.get(cell).push(box);
+  }));
+
+}
+
+const removeObstacles = (boxes) => {
+
+  boxes.forEach(box => getObstacleCells(box).forEach(cell => {
+    const cellBoxes = obstacleGrid.get(cell);
+    if(!cellBoxes || !cellBoxes.includes(box)) return;
+
+    cellBoxes.splice(cellBoxes.indexOf(box), 1);
+    if(!cellBoxes.length) obstacleGrid.delete(cell);
+  }));
+
+}
+
+const getObstaclesNear = (sphere) => {
+
+  // Trees in the cells the drone overlaps, and the obstacles placed in the track editor, which are few
+  const boxes = new Set(trackEditor.getObstacleBoxes());
+
+  getObstacleCells(sphere.getBoundingBox(new THREE.Box3())).forEach(cell => {
+    (obstacleGrid.get(cell) || []).forEach(box => boxes.add(box));
+  });
+
+  return Array.from(boxes);
+
+}
+
+const getInstanceBoxes = (mesh) => {
+
+  // World bounds of every instance, used as collision obstacles
+  if(!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+
+  const boxes   = [];
+  const matrix  = new THREE.Matrix4();
+
+  for(let i = 0; i < mesh.count; i++) {
+    mesh.getMatrixAt(i, matrix);
+    boxes.push(mesh.geometry.boundingBox.clone().applyMatrix4(matrix));
+  }
+
+  return boxes;
+
+}
+
+const prefetchTiles = () => {
+
+  // Generate the ring beyond the visible tiles so crossing a boundary only uploads buffers
+  const ring = viewRadius + 1;
+
+  for(let x = -ring; x <= ring; x++) {
+    for(let y = -ring; y <= ring; y++) {
+      if(Math.max(Math.abs(x), Math.abs(y)) < ring) continue;
+      const tile = {
+        xFrom:  centerTile.xFrom + x * tileWidth,
+        xTo:    centerTile.xTo + x * tileWidth,
+        yFrom:  centerTile.yFrom + y * tileWidth,
+        yTo:    centerTile.yTo + y * tileWidth
+      };
+      fetchTile(tile, getTileLod(tile));
+    }
+  }
+
+}
+
+const cleanUpTiles = () => {
+
+  for(let i = terrainTiles.length - 1; i >= 0; i--) {
+
+    if(!isTileInRange(getTileFromName(terrainTiles[i].name), viewRadius)) {
+      removeTile(terrainTiles[i]);
+      terrainTiles.splice(i, 1);
+    }
+
+  }
+
+  // Forget generated data outside the pre-fetch ring
+  tileWorkers.cancelQueued(params => !isTileInRange(params, viewRadius + 1));
+  Object.keys(tileCache).forEach(tileName => {
+    if(!isTileInRange(getTileFromName(tileName), viewRadius + 1)) delete tileCache[tileName];
+  });
+
+}
+
+const resize = () => {
+
+  sizes = {
+    width:  container.offsetWidth,
+    height: container.offsetHeight
+  };
+
+  camera.aspect = sizes.width / sizes.height;
+  camera.updateProjectionMatrix();
+
+  renderer.setSize(sizes.width, sizes.height);
+
+}
+
+
+const updateTurnRate = () => {
+
+  // Full yaw stick is 0.02, the set share of it and twice that in speed mode
+  charRotateYMax = Math.min(userSettings.get('turnRate') / 100 * (doubleSpeed ? 2 : 1), 1) * 0.02;
+
+}
+
+const toggleDoubleSpeed = () => {
+
+  if(flyingIn || replay || editing) return;
+
+  doubleSpeed = !doubleSpeed;
+  updateTurnRate();
+
+}
+
+const cycleFlightMode = () => {
+
+  if(flyingIn || replay || editing) return;
+
+  const modes = Object.keys(flightModes);
+  const next  = modes[(modes.indexOf(flightController.getMode()) + 1) % modes.length];
+
+  flightController.setMode(next);
+  updateFlightModeLabel();
+
+}
+
+const updateFlightModeLabel = () => {
+
+  document.getElementById('flight-mode').textContent = flightModes[flightController.getMode()].label;
+
+}
+
+const cycleCameraRig = () => {
+
+  if(flyingIn || editing) return;
+
+  cameraRig.cycle();
+  applyCameraRig();
+
+  // Cycling during a replay stops following the recorded camera
+  if(replay) document.querySelector('.replay-camera').value = cameraRig.getRig();
+
+}
+
+const setCameraRig = (name) => {
+
+  if(!cameraRigs[name] || name === cameraRig.getRig()) return;
+
+  cameraRig.setRig(name);
+  applyCameraRig();
+
+}
+
+const applyCameraRig = () => {
+
+  const fpv = cameraRig.getRig() === 'fpv';
+
+  // The FPV camera sits on the frame, where the model would block the view
+  character.visible = !fpv;
+
+  // The OSD takes over from the corner HUD in first-person view
+  osd.setVisible(fpv);
+  document.querySelector('.hud').classList.toggle('hud-hidden', fpv);
+
+  updateCameraRigLabel();
+
+}
+
+const updateCameraRigLabel = () => {
+
+  document.getElementById('camera-rig').textContent = cameraRigs[cameraRig.getRig()].label;
+
+}
+
+const determineMovement = (delta) => {
+
+  // Stick positions for the flight controller, centred sticks hover level in Alt Hold
+  const sticks = {
+    throttle: 0,
+    yaw:      0,
+    pitch:    0,
+    roll:     0
+  };
+
+  if(!flyingIn && !crashed) {
+
+    const axes = input.getAxes();
+
+    // A gamepad or transmitter stick outside its deadzone takes over that axis from the keys and touch joystick
+    const gamepadSticks = gamepadInput.poll();
+    if(gamepadSticks) channelNames.forEach(name => {
+      if(gamepadSticks[name]) axes[name] = gamepadSticks[name];
+    });
+
+    // Handle vertical movement, the throttle stick commands a climb rate in Alt Hold and the
+    // flight controller keeps the drone between its ceiling and floor
+    sticks.throttle = axes.throttle;
+
+    // Handle rotation, full yaw stick is the double speed turn rate
+    sticks.yaw = axes.yaw * charRotateYMax / 0.02;
+
+    // Handle pitch and roll
+    sticks.pitch  = axes.pitch;
+    sticks.roll   = axes.roll;
+
+  }
+
+  // A critical pack brings the drone straight down in Alt Hold, only yaw is left to the pilot
+  if(autoLanding && !landed) {
+    if(flightController.getMode() !== 'altitude') {
+      flightController.setMode('altitude');
+      updateFlightModeLabel();
+    }
+    Object.assign(sticks, { throttle: -0.5, pitch: 0, roll: 0 });
+  }
+
+  if(landed && armed && !autoLanding && flightController.commandsLift(sticks)) takeOff();
+
+  lastSticks = sticks;
+  if(armed) flightTime += delta;
+  telemetry.advance(delta);
+
+  // Disarmed or crashed motors are cut, on the ground armed motors idle
+  if(crashed || !armed) dronePhysics.setMotorCommands([0, 0, 0, 0]);
+  else if(landed) dronePhysics.setMotorCommands([0.08, 0.08, 0.08, 0.08]);
+  else flightController.update(delta, sticks);
+  windField.update(delta);
+  dronePhysics.step(delta);
+  updateBattery(delta);
+
+  if(landed) holdOnGround();
+
+  updateCharacter();
+  if(!flyingIn && !landed) checkCollisions(delta, sticks);
+
+}
+
+const updateBattery = (delta) => {
+
+  battery.update(delta, dronePhysics.getState().motorOutputs);
+  dronePhysics.setThrustScale(battery.getThrustScale());
+
+  const batteryState = battery.getState();
+  if(batteryState.level === 'critical' && armed && !autoLanding) autoLanding = true;
+
+  // Disarm once the auto landing has touched down
+  if(autoLanding && landed && armed) toggleArm();
+
+  updateBatteryHud(batteryState);
+
+}
+
+const getBatteryWarning = (level) => {
+
+  const warnings = {
+    normal:   '',
+    warning:  'Low battery',
+    critical: autoLanding ? 'Auto landing' : 'Land now'
+  };
+
+  return warnings[level];
+
+}
+
+const updateBatteryHud = (batteryState) => {
+
+  const text = `${batteryState.voltage.toFixed(1)}V ${Math.round(batteryState.remaining * 100)}%`;
+  const hud  = document.querySelector('.hud-battery');
+
+  // Only touch the DOM when a reading changes
+  if(hud.textContent !== text) hud.textContent = text;
+  if(hud.dataset.level !== batteryState.level) hud.dataset.level = batteryState.level;
+
+  const warning = document.querySelector('.hud-warning');
+  if(warning.textContent !== getBatteryWarning(batteryState.level)) warning.textContent = getBatteryWarning(batteryState.level);
+
+}
+
+const placeOnHex = (tile, quaternion = character.quaternion) => {
+
+  const top = getColumnTop(simplex, biomes[biome], tile.x, tile.y);
+  const pos = tileToPosition(tile.x, top, tile.y);
+
+  landingSpot = new THREE.Vector3(pos.x, top + droneCollision.getRadius(), pos.z);
+  landed      = true;
+
+  dronePhysics.reset(landingSpot, quaternion);
+  flightController.reset();
+  holdOnGround();
+  updateCharacter();
+
+}
+
+const chooseLaunchHex = (event) => {
+
+  // Only a drone sitting disarmed on the ground can be moved to another hex
+  if(flyingIn || armed || !landed || replay || editing || race.isActive()) return;
+
+  setRaycasterFromPointer(event);
+  const intersects = raycaster.intersectObjects(terrainTiles.map(el => el.hex));
+
+  if(intersects.length) placeOnHex(positionToTile(intersects[0].point.x, intersects[0].point.z));
+
+}
+
+const setRaycasterFromPointer = (event) => {
+
+  const pointer = new THREE.Vector2(
+    (event.clientX / sizes.width) * 2 - 1,
+    -(event.clientY / sizes.height) * 2 + 1
+  );
+
+  raycaster.setFromCamera(pointer, camera);
+
+}
+
+const holdOnGround = () => {
+
+  const droneState = dronePhysics.getState();
+
+  // Sitting level on the hex, only the heading is kept
+  droneState.position.copy(landingSpot);
+  droneState.velocity.set(0, 0, 0);
+  droneState.angularVelocity.set(0, 0, 0);
+  droneState.quaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), dronePhysics.getAttitude().yaw);
+
+}
+
+const toggleArm = () => {
+
+  if(flyingIn || crashed || replay || editing) return;
+
+  if(armed) {
+    // Motors can be cut at any time, in the air the drone drops
+    armed = false;
+    propellerAnimation.spinDown();
+  }
+  else {
+    // Like flight controller firmware, only arm when resting on the ground, and not on a flat pack
+    if(!landed || battery.getState().level === 'critical') return;
+    armed = true;
+    flightController.reset();
+    propellerAnimation.start();
+  }
+
+  updateArmLabel();
+
+}
+
+const updateArmLabel = () => {
+
+  document.getElementById('arm-state').textContent = armed ? 'Armed' : 'Disarmed';
+  document.querySelector('.hex-arm').classList.toggle('hex-armed', armed);
+
+}
+
+const takeOff = () => {
+
+  landed = false;
+  flightController.reset();
+
+}
+
+const land = (height) => {
+
+  const droneState = dronePhysics.getState();
+
+  landed      = true;
+  landingSpot = new THREE.Vector3(droneState.position.x, height + droneCollision.getRadius(), droneState.position.z);
+  droneAudio.land(droneState.velocity.length());
+
+  holdOnGround();
+  applyTileSize();
+
+}
+
+const checkCollisions = (delta, sticks) => {
+
+  const droneState  = dronePhysics.getState();
+  const contact     = droneCollision.findContact(droneState.position);
+
+  if(!contact) return;
+
+  const impactSpeed = -droneState.velocity.dot(contact.normal);
+
+  // Push the drone out of the obstacle and bounce off it
+  droneState.position.addScaledVector(contact.normal, contact.depth);
+  if(impactSpeed > 0) droneState.velocity.addScaledVector(contact.normal, impactSpeed * 1.4);
+
+  if(crashed) {
+    // Ground friction brings the wreck to rest
+    droneState.velocity.multiplyScalar(Math.max(0, 1 - 4 * delta));
+    droneState.angularVelocity.multiplyScalar(Math.max(0, 1 - 3 * delta));
+  }
+  else if(contact.type !== 'ground' || impactSpeed > 3) crash(impactSpeed);
+  // Settling gently on a hex top without asking for lift is a landing
+  else if(droneState.velocity.length() < 2 && !(armed && flightController.commandsLift(sticks))) land(contact.height);
+
+  updateCharacter();
+
+}
+
+const crash = (impactSpeed) => {
+
+  const droneState = dronePhysics.getState();
+
+  crashed = true;
+  armed   = false;
+  propellerAnimation.stop();
+  droneAudio.crash(impactSpeed);
+  updateArmLabel();
+
+  // Knock the drone into a tumble, harder for faster impacts
+  const tumble = 4 + Math.min(impactSpeed, 15);
+  droneState.angularVelocity.set(
+    (Math.random() - 0.5) * tumble,
+    (Math.random() - 0.5) * tumble,
+    (Math.random() - 0.5) * tumble
+  );
+
+  // The respawn key can be rebound, or left unbound
+  const respawnKey = input.getBindings().keyboard.respawn;
+  document.querySelector('.crash-hint').textContent = respawnKey
+    ? `Press ${input.describe('keyboard', 'respawn')} or tap to respawn`
+    : 'Tap to respawn';
+
+  crashTimeout    = setTimeout(() => document.querySelector('.crash-overlay').classList.add('crash-overlay-shown'), 1000);
+  respawnTimeout  = setTimeout(() => respawn(), 5000);
+
+}
+
+const respawn = () => {
+
+  if(!crashed) return;
+
+  clearTimeout(crashTimeout);
+  clearTimeout(respawnTimeout);
+
+  const droneState  = dronePhysics.getState();
+  const groundY     = getGroundHeight(droneState.position.x, droneState.position.z);
+
+  // Back in the air above the crash site, level and facing the same way
+  const position    = new THREE.Vector3(droneState.position.x, Math.max(groundY + 20, 30), droneState.position.z);
+  const heading     = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), dronePhysics.getAttitude().yaw);
+
+  dronePhysics.reset(position, heading);
+  flightController.reset();
+  updateCharacter();
+
+  crashed = false;
+  armed   = true;
+  landed  = false;
+  battery.replace();
+  autoLanding = false;
+  flightTime  = 0;
+  propellerAnimation.start();
+  updateArmLabel();
+
+  document.querySelector('.crash-overlay').classList.remove('crash-overlay-shown');
+
+}
+
+const startRace = (code) => {
+
+  const course = parseCourseCode(code, Object.keys(biomes));
+
+  if(!course) {
+    setRaceStatus('Not a course code, they look like K7Q2-8-3-temperate-4821');
+    return;
+  }
+  if(flyingIn || crashed || replay || editing) {
+    setRaceStatus('Races can start once the drone is back in the air');
+    return;
+  }
+
+  // A course carries its world
+  const regenerate = useWorld(course.worldSeed, course.biome);
+
+  document.querySelector('.course-input').value = course.code;
+  runRace(course, generateCourse(course, getGroundHeight), regenerate);
+  showCourseRecord();
+
+}
+
+const runRace = (course, layout, regenerate) => {
+
+  const heading = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), layout.start.yaw);
+  showTilesAround(new THREE.Vector3(layout.start.x, 0, layout.start.z), regenerate);
+
+  // Every race starts disarmed on the start pad with a fresh pack
+  if(armed) {
+    armed = false;
+    propellerAnimation.stop();
+    updateArmLabel();
+  }
+  battery.replace();
+  autoLanding = false;
+  flightTime  = 0;
+  placeOnHex(positionToTile(layout.start.x, layout.start.z), heading);
+  racePosition.copy(dronePhysics.getState().position);
+
+  race.load(course, layout);
+  trackEditor.setGatesVisible(false);
+  ghostRace.start(course.code, { seed: worldSeed, biome: biome });
+  ghostRace.update(0);
+  document.querySelector('.race-leave').disabled = false;
+  document.querySelector('.race-overlay').classList.remove('race-overlay-shown');
+  document.querySelector('.race-hud').classList.add('race-hud-shown');
+  document.querySelector('.race-split').textContent = 'Arm and take off to start the clock';
+  document.querySelector('.race-split').removeAttribute('data-trend');
+  toggleSettingsModal(false);
+  updateRaceHud();
+
+}
+
+const updateRace = (delta) => {
+
+  if(!race.isActive()) return;
+
+  const position = dronePhysics.getState().position;
+
+  if(!landed) race.launch();
+  const passed = race.update(delta, racePosition, position);
+  const status = race.getStatus();
+  racePosition.copy(position);
+
+  // The run is kept every frame it is raced, the ghost flies the best one at the same race time
+  const finished  = passed && passed.type === 'finish';
+  const newGhost  = finished && ghostRace.finish(status.time, position, dronePhysics.getState().quaternion);
+  if(status.state === 'racing') ghostRace.record(status.time, position, dronePhysics.getState().quaternion);
+  ghostRace.update(status.time);
+
+  if(passed) showRaceSplit(passed);
+  if(finished) showRaceResults(newGhost);
+
+  updateRaceHud();
 
 }
 
-const animateClouds = () => {
+const updateRaceHud = () => {
 
-  for(let i = 0; i < clouds.length; i++)
-    clouds[i].position.x = 
-    clouds[i].position.x < 0 
-      ? clouds[i].position.x - (clock.getElapsedTime() * 0.04) 
-      : clouds[i].position.x + (clock.getElapsedTime() * 0.04);
+  const status    = race.getStatus();
+  const progress  = status.state === 'finished'
+    ? 'Finished'
+    : `Lap ${status.lap}/${status.laps}  Gate ${status.gate}/${status.gateCount}`;
+  const time      = formatRaceTime(status.time);
+
+  if(document.querySelector('.race-progress').textContent !== progress) document.querySelector('.race-progress').textContent = progress;
+  if(document.querySelector('.race-time').textContent !== time) document.querySelector('.race-time').textContent = time;
 
 }
 
-const cleanUpClouds = () => {
+const showRaceSplit = (passed) => {
 
-  flyingIn = false;
-  playMusic();
+  const split = document.querySelector('.race-split');
 
-  for(let i = 0; i < clouds.length; i++) {
-    const cloud = scene.getObjectByProperty('name', `cloud-${i}`);
-    cleanUp(cloud);
+  // Ahead or behind the same gate on the best lap
+  if(passed.difference === null) {
+    split.textContent = formatRaceTime(passed.split);
+    split.removeAttribute('data-trend');
+  }
+  else {
+    split.textContent   = `${passed.difference < 0 ? '-' : '+'}${Math.abs(passed.difference).toFixed(2)}`;
+    split.dataset.trend = passed.difference < 0 ? 'ahead' : 'behind';
   }
+  if(passed.type === 'lap') split.textContent = `Lap ${formatRaceTime(passed.split)}  ${split.textContent}`;
 
-  clouds = undefined;
+  clearTimeout(raceSplitTimeout);
+  raceSplitTimeout = setTimeout(() => { split.textContent = ''; }, 2500);
 
 }
 
-const setCharacter = async () => {
+const showRaceResults = (newGhost) => {
 
-  // Load drone model instead of bird
-  const model = await gltfLoader.loadAsync('assets/drone/scene.gltf');
-  
-  // Find a suitable mesh for collision detection
-  let geo = null;
-  model.scene.traverse((object) => {
-    if (object.isMesh && !geo && object.geometry) {
-      geo = object.geometry.clone();
-    }
-  });
-  
-  if (!geo) {
-    console.error("Could not find a suitable geometry for collision detection");
-    return;
-  }
-  
-  character = model.scene;
+  const results     = race.getResults();
+  const container   = document.querySelector('.race-results');
+  container.innerHTML = '';
 
-  // Position and scale the drone appropriately
-  character.position.set(0, 25, 0);
-  character.scale.set(0.5, 0.5, 0.5); // Increased scale by 10x from 0.05
-  character.rotation.y = Math.PI; // Adjust if the drone is not facing forward
-  
-  // Set up drone-specific properties
-  charPosYIncrement = 0;
-  charRotateYIncrement = 0;
-  charRotateYMax = 0.01;
-  
-  // Import the drone animation modules
-  const animations = await import('./assets/drone/drone-animations.js');
-  
-  // Initialize drone animations
-  propellerAnimation = animations.setupPropellerAnimation(character);
-  droneTilt = animations.setupDroneTilt(character);
-  hoverEffect = animations.setupHoverEffect(character, {
-    amplitude: 0.05,
-    frequency: 0.003
+  const addLine = (text, isRecord) => {
+    const line        = document.createElement('div');
+    line.textContent  = text;
+    if(isRecord) line.className = 'race-record';
+    container.appendChild(line);
+  };
+
+  addLine(`Total ${formatRaceTime(results.total)}`, false);
+  results.lapTimes.forEach((lapTime, index) => {
+    addLine(`Lap ${index + 1}  ${formatRaceTime(lapTime)}${lapTime === results.bestLap ? '  best' : ''}`, false);
   });
-  
-  // Start animations
-  propellerAnimation.start();
-  hoverEffect.start();
-  
-  // Add collision detection
-  geo.computeBoundsTree();
-  scene.add(character);
+  if(results.newTotalRecord && results.previousTotal !== null) addLine(`New best total, was ${formatRaceTime(results.previousTotal)}`, true);
+  if(results.newLapRecord && results.previousLap !== null) addLine(`New best lap, was ${formatRaceTime(results.previousLap)}`, true);
+  if(!results.newTotalRecord) addLine(`Your best ${formatRaceTime(results.previousTotal)}`, false);
+  if(newGhost) addLine('Saved as the ghost to beat', true);
+  else if(ghostRace.getGhostTime(race.getStatus().code) !== null) addLine(`Ghost ${formatRaceTime(ghostRace.getGhostTime(race.getStatus().code))}`, false);
+
+  document.querySelector('.race-overlay').classList.add('race-overlay-shown');
 
-  return;
 }
 
-const setGrass = async () => {
+const exportGhost = () => {
 
-  grassMeshes           = {};
-  const model           = await gltfLoader.loadAsync('assets/grass/scene.gltf');
-  const grassMeshNames  = [
-    {
-      varName:  'grassMeshOne',
-      meshName: 'Circle015_Grass_0'
-    },
-    {
-      varName:  'grassMeshTwo',
-      meshName: 'Circle018_Grass_0'
-    }
-  ];
+  // The ghost of the course being raced, or else of the course code entered
+  const course  = parseCourseCode(document.querySelector('.course-input').value, Object.keys(biomes));
+  const code    = race.getStatus().code || (course && course.code);
+  const ghost   = code && ghostRace.exportGhost(code);
 
-  for(let i = 0; i < grassMeshNames.length; i++) {
-    const mesh  = model.scene.getObjectByName(grassMeshNames[i].meshName);
-    const geo   = mesh.geometry.clone();
-    const mat   = mesh.material.clone();
-    grassMeshes[grassMeshNames[i].varName] = new THREE.InstancedMesh(geo, mat, Math.floor(amountOfHexInTile / 40));
+  if(!ghost) {
+    setRaceStatus('Finish a race on this course to have a ghost to export');
+    return;
   }
 
-  return;
+  downloadFile(`quad-tok-ghost-${getFileTimestamp()}.json`, 'application/json', JSON.stringify(ghost));
 
 }
 
-const setTrees = async () => {
-
-  treeMeshes          = {};
-  const treeMeshNames = [
-    {
-      varName:    'treeMeshOne',
-      modelPath:  'assets/trees/pine/scene.gltf',
-      meshName:   'Object_4'
-    },
-    {
-      varName:    'treeMeshTwo',
-      modelPath:  'assets/trees/twisted-branches/scene.gltf',
-      meshName:   'Tree_winding_01_Material_0'
-    }
-  ];
+const importGhost = (file) => {
 
-  for(let i = 0; i < treeMeshNames.length; i++) {
-    const model  = await gltfLoader.loadAsync(treeMeshNames[i].modelPath);
-    const mesh  = model.scene.getObjectByName(treeMeshNames[i].meshName);
-    const geo   = mesh.geometry.clone();
-    const mat   = mesh.material.clone();
-    treeMeshes[treeMeshNames[i].varName] = new THREE.InstancedMesh(geo, mat, Math.floor(amountOfHexInTile / 45));
-  }
+  file.text()
+    .then(text => {
+      const code    = ghostRace.importGhost(JSON.parse(text));
+      const course  = parseCourseCode(code, Object.keys(biomes));
 
-  return;
+      // Course codes can be raced straight away, track ghosts wait for their track
+      if(course) {
+        document.querySelector('.course-input').value = course.code;
+        showCourseRecord();
+      }
+      else setRaceStatus(`Ghost loaded for ${code}, race that track to meet it`);
+    })
+    .catch(error => {
+      console.warn('Could not import race ghost', error);
+      setRaceStatus(`${file.name} is not a race ghost`);
+    });
 
 }
 
-const setCam = () => {
+const leaveRace = () => {
 
-  currentPos    = new THREE.Vector3();
-  currentLookAt = new THREE.Vector3();
-  lookAtPosZ    = 15;
-  thirdPerson   = true;
-  doubleSpeed   = false;
+  race.clear();
+  ghostRace.stop();
+  trackEditor.setGatesVisible(true);
+  clearTimeout(raceSplitTimeout);
+
+  document.querySelector('.race-leave').disabled = true;
+  document.querySelector('.race-overlay').classList.remove('race-overlay-shown');
+  document.querySelector('.race-hud').classList.remove('race-hud-shown');
+
+  applyTileSize();
 
 }
 
-const createSurroundingTiles = (newActiveTile) => {
+const enterEditor = () => {
 
-  const setCenterTile = (parsedCoords) => {
-    centerTile = {
-      xFrom:  parsedCoords.x,
-      xTo:    parsedCoords.x + tileWidth,
-      yFrom:  parsedCoords.y,
-      yTo:    parsedCoords.y + tileWidth
-    }
+  if(editing) return;
+  if(flyingIn || crashed || replay || ['ready', 'racing'].includes(race.getStatus().state)) {
+    setRaceStatus('The editor opens once the drone is back in the air, outside a race');
+    return;
   }
+  if(race.isActive()) leaveRace();
 
-  const parsedCoords = JSON.parse(newActiveTile);
+  // The flight is paused while editing, the camera orbits a point panned with the flight controls
+  editing         = true;
+  editorReturnRig = cameraRig.getRig();
+  editorFocus.copy(dronePhysics.getState().position);
+  setCameraRig('orbit');
 
-  setCenterTile(parsedCoords);
+  document.querySelector('.editor-bar').classList.add('editor-bar-shown');
+  toggleSettingsModal(false);
+  updateEditorBar();
 
-  tileYNegative();
+}
 
-  tileXPositive();
+const updateEditor = (delta) => {
 
-  tileYPositive();
-  tileYPositive();
+  const axes    = input.getAxes();
+  const forward = new THREE.Vector3().subVectors(editorFocus, camera.position).setY(0).normalize();
+  const right   = new THREE.Vector3(-forward.z, 0, forward.x);
 
-  tileXNegative();
-  tileXNegative();
+  // Pitch pans away from the camera and roll across, faster in double speed
+  const speed = doubleSpeed ? 50 : 25;
+  editorFocus.addScaledVector(forward, axes.pitch * speed * delta);
+  editorFocus.addScaledVector(right, axes.roll * speed * delta);
+  editorFocus.y = getGroundHeight(editorFocus.x, editorFocus.z) + 1;
 
-  tileYNegative();
-  tileYNegative();
+  // Stream the terrain around the focus rather than the parked drone
+  const focusTile = getTileNameAt(editorFocus);
+  if(focusTile !== activeTile) createSurroundingTiles(focusTile);
+  updateTileLods(editorFocus);
 
-  setCenterTile(parsedCoords);
+}
 
-  cleanUpTiles();
+const editTrackAt = (event) => {
 
-  activeTile = newActiveTile;
+  if(!editing) return;
 
-}
+  setRaycasterFromPointer(event);
 
-const tileYNegative = () => {
+  // Items are hit before the hexes behind them, hexes snap to their centres
+  const item        = trackEditor.pick(raycaster);
+  const intersects  = raycaster.intersectObjects(terrainTiles.map(el => el.hex));
+  const tile        = intersects.length ? positionToTile(intersects[0].point.x, intersects[0].point.z) : null;
 
-  centerTile.yFrom -= tileWidth;
-  centerTile.yTo -= tileWidth;
-  createTile();
+  trackEditor.apply(tile, item);
+  updateEditorBar();
 
 }
 
-const tileYPositive = () => {
+const updateEditorBar = () => {
 
-  centerTile.yFrom += tileWidth;
-  centerTile.yTo += tileWidth;
-  createTile();
-
-}
+  const tool      = trackEditor.getTool();
+  const selected  = trackEditor.getSelected();
 
-const tileXNegative = () => {
+  document.querySelectorAll('.editor-tool').forEach(button => {
+    button.classList.toggle('editor-tool-active', button.dataset.tool === tool);
+  });
+  document.querySelectorAll('.editor-rotate, .editor-raise').forEach(button => {
+    button.disabled = !selected;
+  });
 
-  centerTile.xFrom -= tileWidth;
-  centerTile.xTo -= tileWidth;
-  createTile();
+  const hints = {
+    gate:     'Click a hex to place a gate, gates are raced in the order placed',
+    flag:     'Click a hex to place a flag',
+    obstacle: 'Click a hex to place an obstacle',
+    select:   'Click an item to select it, then a hex to move it there',
+    delete:   'Click an item to delete it'
+  };
+  setEditorStatus(`${hints[tool]}. ${trackEditor.getItemCount()} items.`);
 
 }
 
-const tileXPositive = () => {
+const setEditorStatus = (text) => {
 
-  centerTile.xFrom += tileWidth;
-  centerTile.xTo += tileWidth;
-  createTile();
+  document.querySelector('.editor-status').textContent = text;
 
 }
 
-const createTile = () => {
+const exitEditor = () => {
 
-  const tileName = JSON.stringify({
-    x: centerTile.xFrom,
-    y: centerTile.yFrom
-  });
-
-  if(terrainTiles.some(el => el.name === tileName)) return; // Returns if tile already exists
+  if(!editing) return;
 
-  const tileToPosition = (tileX, height, tileY) => {
-    return new THREE.Vector3((tileX + (tileY % 2) * 0.5) * 1.68, height / 2, tileY * 1.535);
-  }
+  editing = false;
+  setCameraRig(editorReturnRig);
+  showTilesAround(dronePhysics.getState().position, false);
 
-  const setHexMesh = (geo) => {
+  document.querySelector('.editor-bar').classList.remove('editor-bar-shown');
 
-    const mat   = new THREE.MeshStandardMaterial();
-    const mesh  = new THREE.InstancedMesh(geo, mat, amountOfHexInTile);
+}
 
-    mesh.castShadow     = true;
-    mesh.receiveShadow  = true;
-  
-    return mesh;
+const exportTrack = () => {
 
-  }
+  const name = document.querySelector('.track-name').value.trim() || 'Untitled track';
+  const data = trackEditor.exportTrack({ name: name, worldSeed: worldSeed, biome: biome });
 
-  const hexManipulator      = new THREE.Object3D();
-  const grassManipulator    = new THREE.Object3D();
-  const treeOneManipulator  = new THREE.Object3D();
-  const treeTwoManipulator  = new THREE.Object3D();
+  downloadFile(`quad-tok-track-${getFileTimestamp()}.json`, 'application/json', JSON.stringify(data));
 
-  const geo = new THREE.CylinderGeometry(1, 1, 1, 6, 1, false);
-  const hex = setHexMesh(geo);
-  hex.name  = tileName;
-  geo.computeBoundsTree();
+}
 
-  const grassOne  = grassMeshes.grassMeshOne.clone();
-  grassOne.name   = tileName;
-  const grassTwo  = grassMeshes.grassMeshTwo.clone();
-  grassTwo.name   = tileName;
-
-  const treeOne = treeMeshes.treeMeshOne.clone();
-  treeOne.name  = tileName;
-  const treeTwo = treeMeshes.treeMeshTwo.clone();
-  treeTwo.name  = tileName;
-
-  terrainTiles.push({
-    name:   tileName,
-    hex:    hex,
-    grass:  [
-      grassOne.clone(),
-      grassTwo.clone(),
-    ],
-    trees:  [
-      treeOne.clone(),
-      treeTwo.clone(),
-    ]
-  });
-  
-  let hexCounter      = 0;
-  let grassOneCounter = 0;
-  let grassTwoCounter = 0;
-  let treeOneCounter  = 0;
-  let treeTwoCounter  = 0;
-  
-  for(let i = centerTile.xFrom; i <= centerTile.xTo; i++) {
-    for(let j = centerTile.yFrom; j <= centerTile.yTo; j++) {
+const importTrack = (file) => {
 
-      let noise1     = (simplex.noise2D(i * 0.015, j * 0.015) + 1.3) * 0.3;
-      noise1         = Math.pow(noise1, 1.2);
-      let noise2     = (simplex.noise2D(i * 0.015, j * 0.015) + 1) * 0.75;
-      noise2         = Math.pow(noise2, 1.2);
-      const height   = noise1 * noise2 * maxHeight;
+  file.text()
+    .then(text => {
+      const data = JSON.parse(text);
+      trackEditor.importTrack(data);
 
-      hexManipulator.scale.y = height >= sandHeight ? height : sandHeight;
+      // A track is built on its world, which comes along with it
+      const regenerate  = useWorld(String(data.worldSeed || worldSeed), data.biome);
+      const centre      = trackEditor.getCentre();
+      if(centre) editorFocus.set(centre.x, getGroundHeight(centre.x, centre.z) + 1, centre.z);
+      showTilesAround(editorFocus, regenerate);
 
-      const pos = tileToPosition(i, height >= sandHeight ? height : sandHeight, j);
-      hexManipulator.position.set(pos.x, pos.y, pos.z);
+      document.querySelector('.track-name').value = data.name || '';
+      updateEditorBar();
+    })
+    .catch(error => {
+      console.warn('Could not load track', error);
+      setEditorStatus(`${file.name} is not a track`);
+    });
 
-      hexManipulator.updateMatrix();
-      hex.setMatrixAt(hexCounter, hexManipulator.matrix);
+}
 
-      if(height > snowHeight)               hex.setColorAt(hexCounter, textures.snow);
-      else if(height > lightSnowHeight)     hex.setColorAt(hexCounter, textures.lightSnow);
-      else if(height > rockHeight)          hex.setColorAt(hexCounter, textures.rock);
-      else if(height > forestHeight) {
+const raceTrack = () => {
 
-        hex.setColorAt(hexCounter, textures.forest);
-        treeTwoManipulator.scale.set(1.1, 1.2, 1.1);
-        treeTwoManipulator.rotation.y = Math.floor(Math.random() * 3);
-        treeTwoManipulator.position.set(pos.x, (pos.y * 2) + 5, pos.z);
-        treeTwoManipulator.updateMatrix();
+  const layout = trackEditor.getLayout();
 
-        if((Math.floor(Math.random() * 15)) === 0) {
-          treeTwo.setMatrixAt(treeTwoCounter, treeTwoManipulator.matrix);
-          treeTwoCounter++;
-        }
+  if(!layout) {
+    setEditorStatus('Place at least two gates to race the track');
+    return;
+  }
 
-      }
-      else if(height > lightForestHeight) {
+  exitEditor();
 
-        hex.setColorAt(hexCounter, textures.lightForest);
+  // Records are kept per track layout and lap count
+  const track = trackEditor.exportTrack({ worldSeed: worldSeed, biome: biome });
+  const laps  = THREE.MathUtils.clamp(Math.round(Number(document.querySelector('.laps-input').value)) || 3, lapLimits.min, lapLimits.max);
+  runRace({ code: `track-${hashSeed(JSON.stringify(track)).toString(36)}-${laps}`, laps: laps }, layout, false);
 
-        treeOneManipulator.scale.set(0.4, 0.4, 0.4);
-        treeOneManipulator.position.set(pos.x, (pos.y * 2), pos.z);
-        treeOneManipulator.updateMatrix();
+}
 
-        if((Math.floor(Math.random() * 10)) === 0) {
-          treeOne.setMatrixAt(treeOneCounter, treeOneManipulator.matrix);
-          treeOneCounter++;
-        }
+const recordFrame = () => {
+
+  if(!recorder.isRecording()) return;
+
+  const droneState  = dronePhysics.getState();
+  const motors      = droneState.motorOutputs;
+
+  recorder.record({
+    time:     clock.elapsedTime,
+    x:        droneState.position.x,
+    y:        droneState.position.y,
+    z:        droneState.position.z,
+    qx:       droneState.quaternion.x,
+    qy:       droneState.quaternion.y,
+    qz:       droneState.quaternion.z,
+    qw:       droneState.quaternion.w,
+    throttle: lastSticks.throttle,
+    yaw:      lastSticks.yaw,
+    pitch:    lastSticks.pitch,
+    roll:     lastSticks.roll,
+    motor0:   motors[0],
+    motor1:   motors[1],
+    motor2:   motors[2],
+    motor3:   motors[3],
+    camera:   Object.keys(cameraRigs).indexOf(cameraRig.getRig())
+  });
 
-      }
-      else if(height > grassHeight) {
-
-        hex.setColorAt(hexCounter, textures.grass);
-
-        grassManipulator.scale.set(0.15, 0.15, 0.15);
-        grassManipulator.rotation.x = -(Math.PI / 2);
-        grassManipulator.position.set(pos.x, pos.y * 2, pos.z);
-        grassManipulator.updateMatrix();
-
-        if((Math.floor(Math.random() * 6)) === 0)
-          switch (Math.floor(Math.random() * 2) + 1) {
-            case 1:
-              grassOne.setMatrixAt(grassOneCounter, grassManipulator.matrix);
-              grassOneCounter++;
-              break;
-            case 2:
-              grassTwo.setMatrixAt(grassTwoCounter, grassManipulator.matrix);
-              grassTwoCounter++;
-              break;
-          }
+}
 
-      }
-      else if(height > sandHeight)          hex.setColorAt(hexCounter, textures.sand);
-      else if(height > shallowWaterHeight)  hex.setColorAt(hexCounter, textures.shallowWater);
-      else if(height > waterHeight)         hex.setColorAt(hexCounter, textures.water);
-      else if(height > deepWaterHeight)     hex.setColorAt(hexCounter, textures.deepWater);
+const toggleRecording = () => {
 
-      hexCounter++;
+  if(replay) return;
 
-    }
+  if(recorder.isRecording()) {
+    recorder.stop();
+    setRecordingStatus('');
+  }
+  else {
+    // The seed and biome let the replay regenerate the same terrain
+    recorder.start({ seed: worldSeed, biome: biome, cameraRigs: Object.keys(cameraRigs) });
+    setRecordingStatus('Recording, close the settings and fly');
   }
 
-  scene.add(hex, grassOne, grassTwo, treeOne, treeTwo);
+  updateRecordingPanel();
 
 }
 
-const cleanUpTiles = () => {
-
-  for(let i = terrainTiles.length - 1; i >= 0; i--) {
+const exportRecording = () => {
 
-    let tileCoords  = JSON.parse(terrainTiles[i].hex.name);
-    tileCoords      = {
-      xFrom:  tileCoords.x,
-      xTo:    tileCoords.x + tileWidth,
-      yFrom:  tileCoords.y,
-      yTo:    tileCoords.y + tileWidth
-    }
+  downloadFile(`quad-tok-flight-${getFileTimestamp()}.json`, 'application/json', JSON.stringify(recorder.exportRecording()));
 
-    if(
-      tileCoords.xFrom < centerTile.xFrom - tileWidth ||
-      tileCoords.xTo > centerTile.xTo + tileWidth ||
-      tileCoords.yFrom < centerTile.yFrom - tileWidth ||
-      tileCoords.yTo > centerTile.yTo + tileWidth
-    ) {
+}
 
-      const tile = scene.getObjectsByProperty('name', terrainTiles[i].hex.name);
-      for(let o = 0; o < tile.length; o++) cleanUp(tile[o]);
+const downloadFile = (fileName, type, text) => {
 
-      terrainTiles.splice(i, 1);
+  const link = document.createElement('a');
 
-    }
+  link.href     = URL.createObjectURL(new Blob([text], { type: type }));
+  link.download = fileName;
+  link.click();
 
-  }
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
 
 }
 
-const resize = () => {
-
-  sizes = {
-    width:  container.offsetWidth,
-    height: container.offsetHeight
-  };
+const getFileTimestamp = () => new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
 
-  camera.aspect = sizes.width / sizes.height;
-  camera.updateProjectionMatrix();
+const importRecording = (file) => {
 
-  renderer.setSize(sizes.width, sizes.height);
+  file.text()
+    .then(text => startReplay(JSON.parse(text)))
+    .catch(error => {
+      console.warn('Could not import flight recording', error);
+      setRecordingStatus(`${file.name} is not a flight recording`);
+    });
 
 }
 
+const startReplay = (recording) => {
 
-const toggleDoubleSpeed = () => {
-
-  if(flyingIn) return;
+  if(flyingIn || crashed || replay || editing) {
+    setRecordingStatus('Replays can start once the drone is back in the air');
+    return;
+  }
 
-  doubleSpeed = !doubleSpeed;
-  charRotateYMax = doubleSpeed ? 0.02 : 0.01;
-  
-  // Update propeller speed based on drone speed
-  if (propellerAnimation) {
-    propellerAnimation.setSpeed(doubleSpeed ? 'fast' : 'medium');
+  if(['ready', 'racing'].includes(race.getStatus().state)) {
+    setRecordingStatus('Leave the race before starting a replay');
+    return;
   }
 
-}
+  const nextReplay = createReplay(recording); // Throws for files that are not recordings
+
+  if(recorder.isRecording()) recorder.stop();
+  if(race.isActive()) leaveRace();
+
+  // Set the live flight aside to carry on from the same spot afterwards
+  const droneState = dronePhysics.getState();
+  replayReturn = {
+    seed:             worldSeed,
+    biome:            biome,
+    rig:              cameraRig.getRig(),
+    position:         droneState.position.clone(),
+    velocity:         droneState.velocity.clone(),
+    quaternion:       droneState.quaternion.clone(),
+    angularVelocity:  droneState.angularVelocity.clone(),
+    motorCommands:    droneState.motorCommands.slice(),
+    motorOutputs:     droneState.motorOutputs.slice()
+  };
 
-const toggleDroneCameraView = () => {
-  if(flyingIn) return;
-  
-  thirdPerson = !thirdPerson;
-  
-  if(!thirdPerson) {
-    // First-person drone camera view
-    camY = 3;
-    camZ = 7;
-  } else {
-    // Return to third-person view
-    camY = 160;
-    camZ = -190;
-  }
-}
+  replay = nextReplay;
+  propellerAnimation.start();
 
-const keyDown = (event) => {
+  // Regenerate the recorded terrain around where the flight starts
+  const details     = replay.getDetails();
+  const firstFrame  = replay.getFrame();
+  showWorld(details.seed, details.biome, new THREE.Vector3(firstFrame.x, firstFrame.y, firstFrame.z));
 
-  if(infoModalDisplayed) return;
+  document.querySelector('.replay-camera').value  = 'recorded';
+  document.querySelector('.replay-speed').value   = '1';
+  document.querySelector('.replay-scrub').max     = replay.getDuration();
+  document.querySelector('.replay-bar').classList.add('replay-bar-shown');
+
+  setRecordingStatus('');
+  updateRecordingPanel();
+  toggleSettingsModal(false);
+  updateReplay(0);
 
-  if(!activeKeysPressed.includes(event.keyCode)) 
-    activeKeysPressed.push(event.keyCode);
-    
 }
 
-const keyUp = (event) => {
+const updateReplay = (delta) => {
 
-  if(event.keyCode === 32) toggleDoubleSpeed();
-  if(event.keyCode === 90) toggleDroneCameraView();
+  replay.update(delta);
 
-  const index = activeKeysPressed.indexOf(event.keyCode);
-  activeKeysPressed.splice(index, 1);
+  const frame       = replay.getFrame();
+  const velocity    = replay.getVelocity();
+  const droneState  = dronePhysics.getState();
 
-}
+  // The recorded state stands in for the flight model, which is paused
+  droneState.position.set(frame.x, frame.y, frame.z);
+  droneState.quaternion.set(frame.qx, frame.qy, frame.qz, frame.qw).normalize();
+  droneState.velocity.set(velocity.x, velocity.y, velocity.z);
+  droneState.motorOutputs.splice(0, 4, frame.motor0, frame.motor1, frame.motor2, frame.motor3);
+  lastSticks = { throttle: frame.throttle, yaw: frame.yaw, pitch: frame.pitch, roll: frame.roll };
 
-const determineMovement = () => {
+  if(document.querySelector('.replay-camera').value === 'recorded') setCameraRig(replay.getDetails().cameraRigs[frame.camera]);
 
-  character.translateZ(doubleSpeed ? 1 : 0.4);
+  updateCharacter();
+  updateReplayBar();
 
-  if(flyingIn) return;
+}
 
-  // Handle vertical movement (up/down)
-  if(activeKeysPressed.includes(38)) { // up arrow
-    if(character.position.y < 90) {
-      character.position.y += charPosYIncrement;
-      if(charPosYIncrement < 0.3) charPosYIncrement += 0.02;
-      
-      // Apply forward tilt effect
-      droneTilt.tiltForward();
-      
-      // Increase propeller speed
-      propellerAnimation.accelerate();
-    }
-  }
-  
-  if(activeKeysPressed.includes(40) && !movingCharDueToDistance) { // down arrow
-    if(character.position.y > 27) {
-      character.position.y -= charPosYIncrement;
-      if(charPosYIncrement < 0.3) charPosYIncrement += 0.02;
-      
-      // Apply backward tilt effect
-      droneTilt.tiltBackward();
-      
-      // Increase propeller speed
-      propellerAnimation.accelerate();
-    }
-  }
+const updateReplayBar = () => {
 
-  // Handle rotation (left/right)
-  if(activeKeysPressed.includes(37)) { // left arrow
-    character.rotateY(charRotateYIncrement);
-    if(charRotateYIncrement < charRotateYMax) charRotateYIncrement += 0.0005;
-    
-    // Apply left tilt effect
-    droneTilt.tiltLeft();
-  }
-  
-  if(activeKeysPressed.includes(39)) { // right arrow
-    character.rotateY(-charRotateYIncrement);
-    if(charRotateYIncrement < charRotateYMax) charRotateYIncrement += 0.0005;
-    
-    // Apply right tilt effect
-    droneTilt.tiltRight();
-  }
+  const playButton  = document.querySelector('.replay-play');
+  const timeLabel   = document.querySelector('.replay-time');
+  const playText    = replay.isPlaying() ? 'Pause' : 'Play';
+  const timeText    = `${replay.getTime().toFixed(1)} / ${replay.getDuration().toFixed(1)} s`;
 
-  // Combined movements (diagonal)
-  if(activeKeysPressed.includes(38) && activeKeysPressed.includes(37)) {
-    droneTilt.tiltForwardLeft();
-  }
-  else if(activeKeysPressed.includes(38) && activeKeysPressed.includes(39)) {
-    droneTilt.tiltForwardRight();
-  }
-  else if(activeKeysPressed.includes(40) && activeKeysPressed.includes(37)) {
-    droneTilt.tiltBackwardLeft();
-  }
-  else if(activeKeysPressed.includes(40) && activeKeysPressed.includes(39)) {
-    droneTilt.tiltBackwardRight();
-  }
+  if(playButton.textContent !== playText) playButton.textContent = playText;
+  if(timeLabel.textContent !== timeText) timeLabel.textContent = timeText;
+  document.querySelector('.replay-scrub').value = replay.getTime();
 
-  // Revert to stable position when no keys are pressed
-  if(!activeKeysPressed.includes(38) && !activeKeysPressed.includes(40) ||
-     activeKeysPressed.includes(38) && activeKeysPressed.includes(40)) {
-    if(charPosYIncrement > 0) charPosYIncrement -= 0.02;
-    
-    // Return to stable position (vertical axis)
-    if(!activeKeysPressed.includes(37) && !activeKeysPressed.includes(39)) {
-      droneTilt.stabilize();
-    }
-    
-    // Gradually slow propellers when not moving vertically
-    propellerAnimation.decelerate();
-  }
+}
 
-  if(!activeKeysPressed.includes(37) && !activeKeysPressed.includes(39) ||
-     activeKeysPressed.includes(37) && activeKeysPressed.includes(39)) {
-    if(charRotateYIncrement > 0) charRotateYIncrement -= 0.0005;
-    
-    // Return to stable position (horizontal axis)
-    if(!activeKeysPressed.includes(38) && !activeKeysPressed.includes(40)) {
-      droneTilt.stabilize();
-    }
-  }
+const exitReplay = () => {
 
-}
+  if(!replay) return;
 
-const camUpdate = () => {
+  const droneState = dronePhysics.getState();
+  droneState.position.copy(replayReturn.position);
+  droneState.velocity.copy(replayReturn.velocity);
+  droneState.quaternion.copy(replayReturn.quaternion);
+  droneState.angularVelocity.copy(replayReturn.angularVelocity);
+  droneState.motorCommands.splice(0, 4, ...replayReturn.motorCommands);
+  droneState.motorOutputs.splice(0, 4, ...replayReturn.motorOutputs);
 
-  const calcIdealOffset = () => {
-    const idealOffset = thirdPerson ? new THREE.Vector3(0, camY, camZ) : new THREE.Vector3(0, 3, 7);
-    idealOffset.applyQuaternion(character.quaternion);
-    idealOffset.add(character.position);
-    return idealOffset;
-  }
-  
-  const calcIdealLookat = () => {
-    const idealLookat = thirdPerson ? new THREE.Vector3(0, -1.2, lookAtPosZ) : new THREE.Vector3(0, 0.5, lookAtPosZ + 5);
-    idealLookat.applyQuaternion(character.quaternion);
-    idealLookat.add(character.position);
-    return idealLookat;
-  }
+  replay = null;
+  showWorld(replayReturn.seed, replayReturn.biome, droneState.position);
+  setCameraRig(replayReturn.rig);
 
-  if(!activeKeysPressed.length) {
-    if(character.position.y > 60 && lookAtPosZ > 5) lookAtPosZ -= 0.2;
-    if(character.position.y <= 60 && lookAtPosZ < 15) lookAtPosZ += 0.2;
-  }
+  updateCharacter();
+  if(!armed) propellerAnimation.stop();
+
+  document.querySelector('.replay-bar').classList.remove('replay-bar-shown');
+  updateRecordingPanel();
 
-  const idealOffset = calcIdealOffset();
-  const idealLookat = calcIdealLookat(); 
+}
 
-  currentPos.copy(idealOffset);
-  currentLookAt.copy(idealLookat);
+const updateCharacter = () => {
 
-  camera.position.lerp(currentPos, 0.14);
-  camera.lookAt(currentLookAt);
+  const droneState  = dronePhysics.getState();
+  const attitude    = dronePhysics.getAttitude();
 
-  if(camY > 7)    camY -= 0.5;
-  if(camZ < -10)  camZ += 0.5;
-  else {
-    if(flyingIn) {
-      cleanUpClouds(); // This statement is called once when the fly in animation is compelte
-    }
-  }
+  character.position.copy(droneState.position);
+  character.rotation.y = attitude.yaw;
+
+  // Tilt and propellers follow the simulated attitude and motor outputs
+  droneTilt.setTilt(attitude.pitch, attitude.roll);
+  if(armed || replay) propellerAnimation.setMotorOutputs(droneState.motorOutputs);
 
 }
 
 const calcCharPos = () => {
 
+  updateTileLods(character.position);
+
   raycaster.set(character.position, new THREE.Vector3(0, -1, -0.1));
 
   const intersects = raycaster.intersectObjects(terrainTiles.map(el => el.hex));
 
-  if(activeTile !== intersects[0].object.name) createSurroundingTiles(intersects[0].object.name);
+  // Altitude above ground for the OSD and the telemetry log
+  heightAboveGround = intersects.length ? character.position.y - intersects[0].point.y : null;
+  logTelemetry();
 
-  if (intersects[0].distance < distance) {
-    movingCharDueToDistance = true;
-    character.position.y += doubleSpeed ? 0.3 : 0.1;
-  }
-  else {
-    if(movingCharDueToDistance && !movingCharTimeout) {
-      movingCharTimeout = setTimeout(() => {
-        movingCharDueToDistance = false;
-        movingCharTimeout = undefined;
-      }, 600);
-    }
-  }
+  // The tile below may still be streaming in
+  if(!intersects.length) return;
 
-  camUpdate();
+  if(activeTile !== intersects[0].object.name) createSurroundingTiles(intersects[0].object.name);
   
 }
 
 const listenTo = () => {
 
   window.addEventListener('resize', resize.bind(this));
-  window.addEventListener('keydown', keyDown.bind(this));
-  window.addEventListener('keyup', keyUp.bind(this));
   document.querySelector('.hex-music')
-    .addEventListener('click', () => updateMusicVolume());
+    .addEventListener('click', () => toggleSound());
   document.querySelector('.hex-info')
     .addEventListener('click', () => toggleInfoModal());
   document.querySelector('.info-close')
     .addEventListener('click', () => toggleInfoModal(false));
+  document.querySelector('.hex-settings')
+    .addEventListener('click', () => toggleSettingsModal());
+  document.querySelector('.settings-close')
+    .addEventListener('click', () => toggleSettingsModal(false));
+  document.querySelector('.bindings-reset')
+    .addEventListener('click', () => {
+      input.resetBindings();
+      renderBindings();
+    });
+  document.querySelector('.gamepad-calibrate')
+    .addEventListener('click', () => toggleGamepadCalibration());
+  document.querySelector('.gamepad-reset')
+    .addEventListener('click', () => {
+      gamepadInput.resetProfile();
+      updateGamepadStatus();
+    });
+  document.querySelector('.crash-overlay')
+    .addEventListener('click', () => respawn());
+  document.querySelector('.hex-arm')
+    .addEventListener('click', () => toggleArm());
+  document.getElementById('zone-joystick')
+    .addEventListener('dblclick', (event) => chooseLaunchHex(event));
+  document.getElementById('zone-joystick')
+    .addEventListener('click', (event) => editTrackAt(event));
   document.querySelector('.hex-speed')
     .addEventListener('click', () => toggleDoubleSpeed());
+  document.querySelector('.hex-mode')
+    .addEventListener('click', () => cycleFlightMode());
   document.querySelector('.hex-birds-eye')
-    .addEventListener('click', () => toggleDroneCameraView());
+    .addEventListener('click', () => cycleCameraRig());
 
 }
 
@@ -983,12 +2777,27 @@ const cleanUp = (obj) => {
 
 const render = () => {
 
+  const delta = clock.getDelta();
+
   if(loadingDismissed) {
-    determineMovement();
-    calcCharPos();
+    input.update();
+    if(replay) updateReplay(delta);
+    else if(editing) updateEditor(delta);
+    else {
+      determineMovement(delta);
+      updateRace(delta);
+      recordFrame();
+    }
+    if(!editing) calcCharPos();
+    updateTileFades(delta);
+    cameraRig.update(delta);
+    updateDroneAudio(delta);
+    updateOsd();
     if(flyingIn) animateClouds();
+    qualityMonitor.update(delta);
   }
-  renderer.render(scene, camera);
+  loadQueuedTiles();
+  cameraRig.render(renderer, scene);
 
   requestAnimationFrame(render.bind(this))
 
@@ -1000,74 +2809,145 @@ const playMusic = () => {
     src: ['assets/sound/bg-music.mp3'],
     autoplay: true,
     loop: true,
-    volume: 0,
+    volume: getMusicLevel(),
   });
 
   bgMusic.play();
 
 }
 
-const updateMusicVolume = () => {
+const getMusicLevel = () => muteSound ? 0 : musicVolume * 0.05; // The track is mastered loud, full volume is 0.05
+
+const toggleSound = () => {
   
-  muteBgMusic = !muteBgMusic;
-  bgMusic.volume(muteBgMusic ? 0 : 0.01);
+  muteSound = !muteSound;
+
+  // The first click on the sound button is the gesture browsers ask for before audio can start
+  droneAudio.resume();
+  droneAudio.setMuted(muteSound);
+  if(bgMusic) bgMusic.volume(getMusicLevel());
 
   document.getElementById('sound').src = 
-    muteBgMusic ? 
+    muteSound ? 
     'assets/icons/sound-off.svg' :
     'assets/icons/sound-on.svg'
 
 };
 
+const setSound = () => {
+
+  droneAudio        = setupDroneAudio({ volume: userSettings.get('droneVolume') / 100 });
+  musicVolume       = userSettings.get('musicVolume') / 100;
+  listenerPosition  = new THREE.Vector3();
+
+  droneAudio.setMuted(muteSound);
+
+}
+
+const updateDroneAudio = (delta) => {
+
+  const droneState  = dronePhysics.getState();
+  const rig         = cameraRig.getRig();
+  const toDrone     = new THREE.Vector3().subVectors(droneState.position, camera.position);
+  const distance    = rig === 'fpv' ? 0 : toDrone.length();
+
+  // Chase and line of sight hear the drone pass by, the shift follows how fast it closes on the camera.
+  // Switching rigs moves the camera in one frame, so the shift waits for the next one
+  let approachSpeed = 0;
+  if(rig === listenerRig && ['chase', 'lineOfSight'].includes(rig) && delta > 0 && distance > 0) {
+    const listenerVelocity = new THREE.Vector3().subVectors(camera.position, listenerPosition).divideScalar(delta);
+    toDrone.divideScalar(distance);
+    approachSpeed = listenerVelocity.dot(toDrone) - droneState.velocity.dot(toDrone);
+  }
+  listenerPosition.copy(camera.position);
+  listenerRig = rig;
+
+  droneAudio.update({
+    propellerSpeed: propellerAnimation.isSpinning() ? propellerAnimation.getSpeed() : 0,
+    airspeed:       droneState.velocity.distanceTo(dronePhysics.getWind()),
+    distance:       distance,
+    approachSpeed:  approachSpeed
+  });
+
+}
+
 const pauseIconAnimation = (pause = true) => {
 
   if(pause) {
     document.querySelector('.hex-music').classList.add('js-loading');
     document.querySelector('.hex-info').classList.add('js-loading');
+    document.querySelector('.hex-settings').classList.add('js-loading');
     document.querySelector('.hex-speed').classList.add('js-loading');
+    document.querySelector('.hex-mode').classList.add('js-loading');
     document.querySelector('.hex-birds-eye').classList.add('js-loading');
     return;
   }
 
   document.querySelector('.hex-music').classList.remove('js-loading');
   document.querySelector('.hex-info').classList.remove('js-loading');
+  document.querySelector('.hex-settings').classList.remove('js-loading');
   document.querySelector('.hex-speed').classList.remove('js-loading');
+  document.querySelector('.hex-mode').classList.remove('js-loading');
   document.querySelector('.hex-birds-eye').classList.remove('js-loading');
 
 }
 
-const toggleInfoModal = (display = true) => {
-
-  infoModalDisplayed = display;
+const toggleModal = (page, box, display) => {
 
   if(display) return gsap.timeline()
-    .to('.info-modal-page', {
+    .to(page, {
       zIndex: 100
     })
-    .to('.info-modal-page', {
+    .to(page, {
       opacity:  1,
       duration: 1
     })
-    .to('.info-box', {
+    .to(box, {
       opacity:  1,
       duration: 1
     })
 
   gsap.timeline()
-    .to('.info-box', {
+    .to(box, {
       opacity:  0,
       duration: 0.5
     })
-    .to('.info-modal-page', {
+    .to(page, {
       opacity:  0,
       duration: 0.5
     })
-    .to('.info-modal-page', {
+    .to(page, {
       zIndex: -1
     })
 
 }
 
+const toggleInfoModal = (display = true) => {
+
+  infoModalDisplayed = display;
+  input.setEnabled(!infoModalDisplayed && !settingsModalDisplayed);
+
+  toggleModal('.info-modal-page', '.info-box', display);
+
+}
+
+const toggleSettingsModal = (display = true) => {
+
+  settingsModalDisplayed = display;
+  input.setEnabled(!infoModalDisplayed && !settingsModalDisplayed);
+
+  if(!display) {
+    input.cancelCapture();
+    if(gamepadInput.isCalibrating()) {
+      gamepadInput.cancelCalibration();
+      updateGamepadStatus();
+    }
+  }
+
+  toggleModal('.settings-modal-page', '.settings-box', display);
+
+}
+
 const checkLoadingPage = () => {
 
   let loadingCounter  = 0;